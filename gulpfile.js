@@ -105,7 +105,11 @@ gulp.task('test', function()
     'test/test-parser.js',
     'test/test-properties.js',
     'test/test-UA-no-WebRTC.js',
-    'test/test-digestAuthentication.js'
+    'test/test-digestAuthentication.js',
+    'test/test-sockets.js',
+    'test/test-transactions.js',
+    'test/test-transport.js',
+    'test/test-resolver.js'
   ];
 
   return gulp.src(src)
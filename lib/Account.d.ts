@@ -0,0 +1,56 @@
+import {EventEmitter} from 'events'
+
+import {UA, UAContact, UnRegisterOptions, RegisteredListener, UnRegisteredListener, RegistrationFailedListener, RegistrationRetryListener} from './UA'
+import {Registrator} from './Registrator'
+import {AnyListener} from './RTCSession'
+import {URI} from './URI'
+
+export interface AccountConfiguration {
+  uri: string;
+  id?: string;
+  display_name?: string;
+  authorization_user?: string;
+  password?: string;
+  realm?: string;
+  ha1?: string | Record<string, string>;
+  registrar_server?: string;
+  register?: boolean;
+}
+
+export interface AccountEventMap {
+  registered: RegisteredListener;
+  unregistered: UnRegisteredListener;
+  registrationFailed: RegistrationFailedListener;
+  registrationExpiring: AnyListener;
+  registrationRetry: RegistrationRetryListener;
+}
+
+export class Account extends EventEmitter {
+  constructor(ua: UA, configuration: AccountConfiguration, contact: UAContact);
+
+  get id(): string;
+
+  get uri(): URI;
+
+  get registrar_server(): URI;
+
+  get contact(): UAContact;
+
+  display_name: string | null;
+  authorization_user: string;
+  password: string | null;
+  realm: string | null;
+  ha1: string | Record<string, string> | null;
+
+  register(): void;
+
+  unregister(options?: UnRegisterOptions): void;
+
+  registrator(): Registrator;
+
+  registrators(): Registrator[];
+
+  isRegistered(): boolean;
+
+  on<T extends keyof AccountEventMap>(type: T, listener: AccountEventMap[T]): this;
+}
@@ -0,0 +1,161 @@
+const EventEmitter = require('events').EventEmitter;
+const Logger = require('./Logger');
+const Registrator = require('./Registrator');
+
+const logger = new Logger('Account');
+
+/**
+ * Additional SIP identity (AOR) handled by a UA over its transports.
+ *
+ * Emits 'registered', 'unregistered', 'registrationFailed',
+ * 'registrationExpiring' and 'registrationRetry' events for its own
+ * registrations.
+ *
+ * -param {UA} ua
+ * -param {Object} configuration validated 'accounts' entry
+ * -param {Object} contact Contact of the account
+ */
+module.exports = class Account extends EventEmitter
+{
+  constructor(ua, configuration, contact)
+  {
+    logger.debug('new() [id:"%s"]', configuration.id);
+
+    super();
+
+    this._ua = ua;
+    this._id = configuration.id;
+    this._uri = configuration.uri;
+    this._registrar_server = configuration.registrar_server;
+    this._contact = contact;
+
+    // Mutable settings, same names as the UA configuration ones.
+    this.display_name = configuration.display_name;
+    this.authorization_user = configuration.authorization_user;
+    this.password = configuration.password;
+    this.realm = configuration.realm;
+    this.ha1 = configuration.ha1;
+
+    // Whether to register once connected.
+    this._register = configuration.register;
+
+    // Registrators, one per flow.
+    this._registrators = ua._transports.map(
+      (transport, idx) => new Registrator(ua, transport, idx + 1, this));
+  }
+
+  get id()
+  {
+    return this._id;
+  }
+
+  get uri()
+  {
+    return this._uri;
+  }
+
+  get registrar_server()
+  {
+    return this._registrar_server;
+  }
+
+  get contact()
+  {
+    return this._contact;
+  }
+
+  /**
+   * Register.
+   */
+  register()
+  {
+    logger.debug('register()');
+
+    this._register = true;
+    this._registrators.forEach((registrator) => registrator.register());
+  }
+
+  /**
+   * Unregister.
+   */
+  unregister(options)
+  {
+    logger.debug('unregister()');
+
+    this._register = false;
+    this._registrators.forEach((registrator) => registrator.unregister(options));
+  }
+
+  /**
+   * Get the Registrator instance (the one of the first flow).
+   */
+  registrator()
+  {
+    return this._registrators[0];
+  }
+
+  /**
+   * Get the Registrator instances, one per flow.
+   */
+  registrators()
+  {
+    return this._registrators.slice();
+  }
+
+  /**
+   * Registration state. Registered if so over any flow.
+   */
+  isRegistered()
+  {
+    return this._registrators.some((registrator) => registrator.registered);
+  }
+
+  /**
+   * Registrator callbacks.
+   */
+
+  registered(data)
+  {
+    // Just emit it for the first registered flow.
+    if (this._registrators.filter((registrator) => registrator.registered).length === 1)
+    {
+      this.emit('registered', data);
+    }
+  }
+
+  unregistered(data)
+  {
+    // Just emit it once no flow remains registered.
+    if (!this.isRegistered())
+    {
+      this.emit('unregistered', data);
+    }
+  }
+
+  registrationFailed(data)
+  {
+    this.emit('registrationFailed', data);
+  }
+
+  /**
+   * UA callbacks.
+   */
+
+  onTransportConnect(transport)
+  {
+    if (this._register)
+    {
+      this._registrators[this._ua._transports.indexOf(transport)].register();
+    }
+  }
+
+  onTransportClosed(transport)
+  {
+    this._registrators[this._ua._transports.indexOf(transport)].onTransportClosed();
+  }
+
+  close()
+  {
+    this._registrators.forEach((registrator) => registrator.close());
+  }
+};
@@ -0,0 +1,115 @@
+const Logger = require('./Logger');
+
+const logger = new Logger('BearerAuthentication');
+
+/**
+ * OAuth 2.0 Bearer authentication (RFC 8898).
+ *
+ * -param {Function} token_provider function given the challenge (realm, scope,
+ *  authz_server, error) and the request, returning a Promise resolved with the
+ *  access token: a String or an Object with 'access_token' and, optionally,
+ *  'expires_in' (in seconds). Resolved with null if there is no token.
+ */
+module.exports = class BearerAuthentication
+{
+  constructor(token_provider)
+  {
+    this._token_provider = token_provider;
+    this._challenge = null;
+    this._realm = null;
+    this._access_token = null;
+    this._expires_at = null;
+  }
+
+  get(parameter)
+  {
+    switch (parameter)
+    {
+      case 'realm':
+        return this._realm;
+
+      case 'challenge':
+        return this._challenge;
+
+      case 'expires_at':
+        return this._expires_at;
+
+      default:
+        logger.warn('get() | cannot get "%s" parameter', parameter);
+
+        return undefined;
+    }
+  }
+
+  /**
+   * Get a new access token from the application for the given challenge.
+   * Returns a Promise resolved with true if a token was provided, false otherwise.
+   *
+   * -param {Object} challenge
+   * -param {OutgoingRequest} [request] null when refreshing before expiration
+   */
+  refresh(challenge, request = null)
+  {
+    return Promise.resolve()
+      .then(() => this._token_provider(challenge, request))
+      .then((token) =>
+      {
+        if (typeof token === 'string')
+        {
+          token = { access_token: token };
+        }
+
+        if (!token || !token.access_token)
+        {
+          logger.debug('refresh() | no access token provided [realm:"%s"]', challenge.realm);
+
+          return false;
+        }
+
+        this._challenge = challenge;
+        this._realm = challenge.realm;
+        this._access_token = token.access_token;
+        this._expires_at = token.expires_in ?
+          Date.now() + (token.expires_in * 1000) : null;
+
+        return true;
+      });
+  }
+
+  /**
+   * Same interface as DigestAuthentication. Returns true if there is a valid
+   * access token, false otherwise.
+   */
+  authenticate()
+  {
+    if (!this._access_token)
+    {
+      return false;
+    }
+
+    if (this._expires_at !== null && this._expires_at <= Date.now())
+    {
+      logger.debug('authenticate() | access token expired [realm:"%s"]', this._realm);
+
+      return false;
+    }
+
+    return true;
+  }
+
+  /**
+   * RFC 8898 2.2. The access token is included in subsequent requests.
+   */
+  authenticatePreemptively()
+  {
+    return this.authenticate();
+  }
+
+  /**
+   * Return the Authorization header value.
+   */
+  toString()
+  {
+    return `Bearer ${this._access_token}`;
+  }
+};
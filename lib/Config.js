@@ -14,14 +14,27 @@ exports.settings = {
   ha1                : null,
   authorization_jwt  : null,
 
+  // Function returning a Promise with the credentials to answer a challenge.
+  credentials_provider : null,
+
+  // Function returning a Promise with the OAuth 2.0 access token to answer a
+  // Bearer challenge (RFC 8898).
+  token_provider : null,
+
   // SIP account.
   display_name : null,
   uri          : null,
   contact_uri  : null,
 
+  // Additional SIP accounts (AORs) handled by the UA.
+  accounts : null,
+
   // SIP instance id (GRUU).
   instance_id : null,
 
+  // GRUU to use as Contact once registered: 'public', 'temporary' or 'none'.
+  contact_gruu : 'public',
+
   // Preloaded SIP Route header field.
   use_preloaded_route : false,
 
@@ -36,10 +49,31 @@ exports.settings = {
   register_expires : 600,
   registrar_server : null,
 
+  // Registration retry on failure, with exponential backoff.
+  register_retry              : false,
+  register_retry_min_interval : JsSIP_C.REGISTER_RETRY_MIN_INTERVAL,
+  register_retry_max_interval : JsSIP_C.REGISTER_RETRY_MAX_INTERVAL,
+
   // Connection options.
   sockets                          : null,
   connection_recovery_max_interval : JsSIP_C.CONNECTION_RECOVERY_MAX_INTERVAL,
   connection_recovery_min_interval : JsSIP_C.CONNECTION_RECOVERY_MIN_INTERVAL,
+  connection_keep_alive_interval   : null,
+  connection_keep_alive_timeout    : JsSIP_C.CONNECTION_KEEP_ALIVE_TIMEOUT,
+  connection_timeout               : null,
+  connection_hot_standby           : false,
+  connection_queue_size            : 0,
+  connection_queue_timeout         : JsSIP_C.CONNECTION_QUEUE_TIMEOUT,
+  connection_failover_on_error     : false,
+  socket_selection                 : 'random',
+  socket_cooldown                  : null,
+
+  // Learn the public address from Via received/rport and use it in Contact.
+  nat_contact_rewrite          : false,
+  nat_contact_rewrite_sessions : false,
+
+  // Number of simultaneous SIP Outbound (RFC 5626) flows.
+  outbound_flows : 1,
 
   /*
    * Host address.
@@ -114,6 +148,79 @@ const checks = {
 
   optional : {
 
+    accounts(accounts)
+    {
+      if (!Array.isArray(accounts))
+      {
+        return;
+      }
+
+      const _accounts = [];
+
+      for (const account of accounts)
+      {
+        if (!account || typeof account !== 'object')
+        {
+          return;
+        }
+
+        const uri = checks.mandatory.uri(account.uri);
+
+        if (!uri)
+        {
+          return;
+        }
+
+        let authorization_user = uri.user;
+
+        if (!Utils.isEmpty(account.authorization_user))
+        {
+          authorization_user =
+            checks.optional.authorization_user(account.authorization_user);
+        }
+
+        let registrar_server;
+
+        if (Utils.isEmpty(account.registrar_server))
+        {
+          // Same as the UA one, the 'uri' value without user, params and headers.
+          registrar_server = uri.clone();
+          registrar_server.user = null;
+          registrar_server.clearParams();
+          registrar_server.clearHeaders();
+        }
+        else
+        {
+          registrar_server = checks.optional.registrar_server(account.registrar_server);
+        }
+
+        if (authorization_user === undefined || registrar_server === undefined)
+        {
+          return;
+        }
+
+        _accounts.push({
+          id                 : account.id ? String(account.id) : uri.toAor(),
+          uri                : uri,
+          display_name       : account.display_name || null,
+          authorization_user : authorization_user,
+          password           : optionalString(account.password),
+          realm              : optionalString(account.realm),
+          ha1                : account.ha1 ? checks.optional.ha1(account.ha1) : null,
+          registrar_server   : registrar_server,
+          register           : account.register !== false
+        });
+      }
+
+      // Account ids must be unique.
+      if (new Set(_accounts.map((account) => account.id)).size !== _accounts.length)
+      {
+        return;
+      }
+
+      return _accounts;
+    },
+
     authorization_user(authorization_user)
     {
       if (Grammar.parse(`"${authorization_user}"`, 'quoted_string') === -1)
@@ -132,6 +239,22 @@ const checks = {
         return authorization_jwt;
       }
     },
+    credentials_provider(credentials_provider)
+    {
+      if (typeof credentials_provider === 'function')
+      {
+        return credentials_provider;
+      }
+    },
+
+    token_provider(token_provider)
+    {
+      if (typeof token_provider === 'function')
+      {
+        return token_provider;
+      }
+    },
+
     user_agent(user_agent)
     {
       if (typeof user_agent === 'string')
@@ -166,6 +289,128 @@ const checks = {
       }
     },
 
+    connection_keep_alive_interval(connection_keep_alive_interval)
+    {
+      if (Utils.isDecimal(connection_keep_alive_interval))
+      {
+        const value = Number(connection_keep_alive_interval);
+
+        if (value >= 0)
+        {
+          return value;
+        }
+      }
+    },
+
+    connection_keep_alive_timeout(connection_keep_alive_timeout)
+    {
+      if (Utils.isDecimal(connection_keep_alive_timeout))
+      {
+        const value = Number(connection_keep_alive_timeout);
+
+        if (value > 0)
+        {
+          return value;
+        }
+      }
+    },
+
+    connection_timeout(connection_timeout)
+    {
+      if (Utils.isDecimal(connection_timeout))
+      {
+        const value = Number(connection_timeout);
+
+        if (value > 0)
+        {
+          return value;
+        }
+      }
+    },
+
+    connection_hot_standby(connection_hot_standby)
+    {
+      if (typeof connection_hot_standby === 'boolean')
+      {
+        return connection_hot_standby;
+      }
+    },
+
+    connection_queue_size(connection_queue_size)
+    {
+      if (Utils.isDecimal(connection_queue_size))
+      {
+        const value = Number(connection_queue_size);
+
+        if (Number.isInteger(value) && value >= 0)
+        {
+          return value;
+        }
+      }
+    },
+
+    connection_queue_timeout(connection_queue_timeout)
+    {
+      if (Utils.isDecimal(connection_queue_timeout))
+      {
+        const value = Number(connection_queue_timeout);
+
+        if (value > 0)
+        {
+          return value;
+        }
+      }
+    },
+
+    nat_contact_rewrite(nat_contact_rewrite)
+    {
+      if (typeof nat_contact_rewrite === 'boolean')
+      {
+        return nat_contact_rewrite;
+      }
+    },
+
+    nat_contact_rewrite_sessions(nat_contact_rewrite_sessions)
+    {
+      if (typeof nat_contact_rewrite_sessions === 'boolean')
+      {
+        return nat_contact_rewrite_sessions;
+      }
+    },
+
+    connection_failover_on_error(connection_failover_on_error)
+    {
+      if (typeof connection_failover_on_error === 'boolean')
+      {
+        return connection_failover_on_error;
+      }
+    },
+
+    socket_selection(socket_selection)
+    {
+      if (typeof socket_selection === 'function')
+      {
+        return socket_selection;
+      }
+      else if ([ 'random', 'priority', 'round_robin', 'sticky' ].indexOf(socket_selection) !== -1)
+      {
+        return socket_selection;
+      }
+    },
+
+    socket_cooldown(socket_cooldown)
+    {
+      if (Utils.isDecimal(socket_cooldown))
+      {
+        const value = Number(socket_cooldown);
+
+        if (value >= 0)
+        {
+          return value;
+        }
+      }
+    },
+
     contact_uri(contact_uri)
     {
       if (typeof contact_uri === 'string')
@@ -179,6 +424,14 @@ const checks = {
       }
     },
 
+    contact_gruu(contact_gruu)
+    {
+      if ([ 'public', 'temporary', 'none' ].indexOf(contact_gruu) !== -1)
+      {
+        return contact_gruu;
+      }
+    },
+
     display_name(display_name)
     {
       return display_name;
@@ -243,6 +496,19 @@ const checks = {
       }
     },
 
+    outbound_flows(outbound_flows)
+    {
+      if (Utils.isDecimal(outbound_flows))
+      {
+        const value = Number(outbound_flows);
+
+        if (Number.isInteger(value) && value >= 1)
+        {
+          return value;
+        }
+      }
+    },
+
     password(password)
     {
       return String(password);
@@ -255,6 +521,19 @@ const checks = {
 
     ha1(ha1)
     {
+      // A value per hash function ('MD5', 'SHA-256', 'SHA-512-256').
+      if (typeof ha1 === 'object' && !Array.isArray(ha1))
+      {
+        const _ha1 = {};
+
+        for (const hash_name of Object.keys(ha1))
+        {
+          _ha1[hash_name.toUpperCase()] = String(ha1[hash_name]);
+        }
+
+        return _ha1;
+      }
+
       return String(ha1);
     },
 
@@ -279,6 +558,40 @@ const checks = {
       }
     },
 
+    register_retry(register_retry)
+    {
+      if (typeof register_retry === 'boolean')
+      {
+        return register_retry;
+      }
+    },
+
+    register_retry_min_interval(register_retry_min_interval)
+    {
+      if (Utils.isDecimal(register_retry_min_interval))
+      {
+        const value = Number(register_retry_min_interval);
+
+        if (value > 0)
+        {
+          return value;
+        }
+      }
+    },
+
+    register_retry_max_interval(register_retry_max_interval)
+    {
+      if (Utils.isDecimal(register_retry_max_interval))
+      {
+        const value = Number(register_retry_max_interval);
+
+        if (value > 0)
+        {
+          return value;
+        }
+      }
+    },
+
     registrar_server(registrar_server)
     {
       if (!/^sip:/i.test(registrar_server))
@@ -312,6 +625,11 @@ const checks = {
   }
 };
 
+function optionalString(value)
+{
+  return Utils.isEmpty(value) ? null : String(value);
+}
+
 exports.load = (dst, src) =>
 {
   // Check Mandatory parameters.
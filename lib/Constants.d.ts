@@ -64,3 +64,11 @@ export const SESSION_EXPIRES = 90
 export const MIN_SESSION_EXPIRES = 60
 export const CONNECTION_RECOVERY_MAX_INTERVAL = 30
 export const CONNECTION_RECOVERY_MIN_INTERVAL = 2
+export const CONNECTION_KEEP_ALIVE_TIMEOUT = 10
+export const CONNECTION_QUEUE_TIMEOUT = 10
+export const REGISTER_RETRY_MIN_INTERVAL = 2
+export const REGISTER_RETRY_MAX_INTERVAL = 300
+export const OUTBOUND_KEEP_ALIVE_INTERVAL = 120
+export const OUTBOUND_RECOVERY_BASE_TIME_ALL_FAILED = 30
+export const OUTBOUND_RECOVERY_BASE_TIME_SOME_OK = 90
+export const OUTBOUND_RECOVERY_MAX_TIME = 1800
@@ -155,5 +155,15 @@ module.exports = {
   SESSION_EXPIRES                  : 90,
   MIN_SESSION_EXPIRES              : 60,
   CONNECTION_RECOVERY_MAX_INTERVAL : 30,
-  CONNECTION_RECOVERY_MIN_INTERVAL : 2
+  CONNECTION_RECOVERY_MIN_INTERVAL : 2,
+  CONNECTION_KEEP_ALIVE_TIMEOUT    : 10,
+  CONNECTION_QUEUE_TIMEOUT         : 10,
+  REGISTER_RETRY_MIN_INTERVAL      : 2,
+  REGISTER_RETRY_MAX_INTERVAL      : 300,
+
+  // SIP Outbound (RFC 5626 4.4.1 and 4.5).
+  OUTBOUND_KEEP_ALIVE_INTERVAL           : 120,
+  OUTBOUND_RECOVERY_BASE_TIME_ALL_FAILED : 30,
+  OUTBOUND_RECOVERY_BASE_TIME_SOME_OK    : 90,
+  OUTBOUND_RECOVERY_MAX_TIME             : 1800
 };
@@ -208,7 +208,8 @@ module.exports = class Dialog
         'from_tag'  : this._id.local_tag,
         'to_uri'    : this._remote_uri,
         'to_tag'    : this._id.remote_tag,
-        'route_set' : this._route_set
+        'route_set' : this._route_set,
+        'account'   : this._owner.account || null
       }, extraHeaders, body);
 
     return request;
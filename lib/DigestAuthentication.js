@@ -3,11 +3,58 @@ const Utils = require('./Utils');
 
 const logger = new Logger('DigestAuthentication');
 
+// Hash function of every supported Digest algorithm (RFC 8760).
+const HASHES = {
+  'MD5'         : Utils.calculateMD5,
+  'SHA-256'     : Utils.calculateSHA256,
+  'SHA-512-256' : Utils.calculateSHA512_256
+};
+
+// Supported Digest algorithms, from the strongest.
+const ALGORITHMS = [
+  'SHA-512-256', 'SHA-512-256-SESS', 'SHA-256', 'SHA-256-SESS', 'MD5', 'MD5-SESS'
+];
+
+/**
+ * -param {Object} credentials
+ *  - username, password, realm
+ *  - ha1: precomputed H(username:realm:password), a String for MD5 or an Object
+ *    with a value per hash function ('MD5', 'SHA-256', 'SHA-512-256')
+ */
 module.exports = class DigestAuthentication
 {
+  /**
+   * Get the challenge with the strongest Digest algorithm we can answer among
+   * the given ones. Any supported algorithm if no credentials are given.
+   */
+  static getStrongestChallenge(challenges, credentials)
+  {
+    let strongest = null;
+
+    for (const challenge of challenges)
+    {
+      const algorithm = challenge.algorithm || 'MD5';
+      const index = ALGORITHMS.indexOf(algorithm);
+
+      if (index === -1 || (credentials && !credentials.password &&
+          !getStoredHa1(credentials, getHashName(algorithm))))
+      {
+        continue;
+      }
+
+      if (!strongest || index < ALGORITHMS.indexOf(strongest.algorithm || 'MD5'))
+      {
+        strongest = challenge;
+      }
+    }
+
+    return strongest;
+  }
+
   constructor(credentials)
   {
     this._credentials = credentials;
+    this._challenge = null;
     this._cnonce = null;
     this._nc = 0;
     this._ncHex = '00000000';
@@ -31,7 +78,10 @@ module.exports = class DigestAuthentication
         return this._realm;
 
       case 'ha1':
-        return this._ha1;
+        return this._getHa1();
+
+      case 'algorithm':
+        return this._algorithm;
 
       default:
         logger.warn('get() | cannot get "%s" parameter', parameter);
@@ -47,6 +97,13 @@ module.exports = class DigestAuthentication
   */
   authenticate({ method, ruri, body }, challenge, cnonce = null /* test interface */)
   {
+    // The nonce count starts again with every new nonce.
+    if (challenge.nonce !== this._nonce)
+    {
+      this._nc = 0;
+    }
+
+    this._challenge = challenge;
     this._algorithm = challenge.algorithm;
     this._realm = challenge.realm;
     this._nonce = challenge.nonce;
@@ -55,9 +112,9 @@ module.exports = class DigestAuthentication
 
     if (this._algorithm)
     {
-      if (this._algorithm !== 'MD5')
+      if (ALGORITHMS.indexOf(this._algorithm) === -1)
       {
-        logger.warn('authenticate() | challenge with Digest algorithm different than "MD5", authentication aborted');
+        logger.warn('authenticate() | challenge with unsupported Digest algorithm "%s", authentication aborted', this._algorithm);
 
         return false;
       }
@@ -67,6 +124,9 @@ module.exports = class DigestAuthentication
       this._algorithm = 'MD5';
     }
 
+    const hash_name = getHashName(this._algorithm);
+    const H = HASHES[hash_name];
+
     if (!this._nonce)
     {
       logger.warn('authenticate() | challenge without Digest nonce, authentication aborted');
@@ -85,9 +145,9 @@ module.exports = class DigestAuthentication
     if (!this._credentials.password)
     {
       // If ha1 is not provided we cannot authenticate.
-      if (!this._credentials.ha1)
+      if (!getStoredHa1(this._credentials, hash_name))
       {
-        logger.warn('authenticate() | no plain SIP password nor ha1 provided, authentication aborted');
+        logger.warn('authenticate() | no plain SIP password nor %s ha1 provided, authentication aborted', hash_name);
 
         return false;
       }
@@ -147,13 +207,21 @@ module.exports = class DigestAuthentication
     // If we have plain SIP password then regenerate ha1.
     if (this._credentials.password)
     {
-      // HA1 = MD5(A1) = MD5(username:realm:password).
-      this._ha1 = Utils.calculateMD5(`${this._credentials.username}:${this._realm}:${this._credentials.password}`);
+      // HA1 = H(A1) = H(username:realm:password).
+      this._ha1 = H(`${this._credentials.username}:${this._realm}:${this._credentials.password}`);
     }
     // Otherwise reuse the stored ha1.
     else
     {
-      this._ha1 = this._credentials.ha1;
+      this._ha1 = getStoredHa1(this._credentials, hash_name);
+    }
+
+    let ha1 = this._ha1;
+
+    // RFC 7616 3.4.2. HA1 = H(H(username:realm:password):nonce:cnonce).
+    if (/-SESS$/.test(this._algorithm))
+    {
+      ha1 = H(`${ha1}:${this._nonce}:${this._cnonce}`);
     }
 
     let a2;
@@ -161,38 +229,38 @@ module.exports = class DigestAuthentication
 
     if (this._qop === 'auth')
     {
-      // HA2 = MD5(A2) = MD5(method:digestURI).
+      // HA2 = H(A2) = H(method:digestURI).
       a2 = `${this._method}:${this._uri}`;
-      ha2 = Utils.calculateMD5(a2);
+      ha2 = H(a2);
 
       logger.debug('authenticate() | using qop=auth [a2:"%s"]', a2);
 
-      // Response = MD5(HA1:nonce:nonceCount:credentialsNonce:qop:HA2).
-      this._response = Utils.calculateMD5(`${this._ha1}:${this._nonce}:${this._ncHex}:${this._cnonce}:auth:${ha2}`);
+      // Response = H(HA1:nonce:nonceCount:credentialsNonce:qop:HA2).
+      this._response = H(`${ha1}:${this._nonce}:${this._ncHex}:${this._cnonce}:auth:${ha2}`);
 
     }
     else if (this._qop === 'auth-int')
     {
-      // HA2 = MD5(A2) = MD5(method:digestURI:MD5(entityBody)).
-      a2 = `${this._method}:${this._uri}:${Utils.calculateMD5(body ? body : '')}`;
-      ha2 = Utils.calculateMD5(a2);
+      // HA2 = H(A2) = H(method:digestURI:H(entityBody)).
+      a2 = `${this._method}:${this._uri}:${H(body ? body : '')}`;
+      ha2 = H(a2);
 
       logger.debug('authenticate() | using qop=auth-int [a2:"%s"]', a2);
 
-      // Response = MD5(HA1:nonce:nonceCount:credentialsNonce:qop:HA2).
-      this._response = Utils.calculateMD5(`${this._ha1}:${this._nonce}:${this._ncHex}:${this._cnonce}:auth-int:${ha2}`);
+      // Response = H(HA1:nonce:nonceCount:credentialsNonce:qop:HA2).
+      this._response = H(`${ha1}:${this._nonce}:${this._ncHex}:${this._cnonce}:auth-int:${ha2}`);
 
     }
     else if (this._qop === null)
     {
-      // HA2 = MD5(A2) = MD5(method:digestURI).
+      // HA2 = H(A2) = H(method:digestURI).
       a2 = `${this._method}:${this._uri}`;
-      ha2 = Utils.calculateMD5(a2);
+      ha2 = H(a2);
 
       logger.debug('authenticate() | using qop=null [a2:"%s"]', a2);
 
-      // Response = MD5(HA1:nonce:HA2).
-      this._response = Utils.calculateMD5(`${this._ha1}:${this._nonce}:${ha2}`);
+      // Response = H(HA1:nonce:HA2).
+      this._response = H(`${ha1}:${this._nonce}:${ha2}`);
     }
 
     logger.debug('authenticate() | response generated');
@@ -200,6 +268,21 @@ module.exports = class DigestAuthentication
     return true;
   }
 
+  /**
+  * Performs Digest authentication of a new SIP request reusing the nonce of
+  * the last challenge, with the next nonce count (preemptive authentication).
+  * Returns true if auth was successfully generated, false otherwise.
+  */
+  authenticatePreemptively(request, cnonce = null /* test interface */)
+  {
+    if (!this._challenge)
+    {
+      return false;
+    }
+
+    return this.authenticate(request, this._challenge, cnonce);
+  }
+
   /**
   * Return the Proxy-Authorization or WWW-Authorization header value.
   */
@@ -212,7 +295,7 @@ module.exports = class DigestAuthentication
       throw new Error('response field does not exist, cannot generate Authorization header');
     }
 
-    auth_params.push(`algorithm=${this._algorithm}`);
+    auth_params.push(`algorithm=${this._algorithm.replace(/-SESS$/, '-sess')}`);
     auth_params.push(`username="${this._credentials.username}"`);
     auth_params.push(`realm="${this._realm}"`);
     auth_params.push(`nonce="${this._nonce}"`);
@@ -228,7 +311,62 @@ module.exports = class DigestAuthentication
       auth_params.push(`cnonce="${this._cnonce}"`);
       auth_params.push(`nc=${this._ncHex}`);
     }
+    // The -sess algorithms need the cnonce anyway.
+    else if (/-SESS$/.test(this._algorithm))
+    {
+      auth_params.push(`cnonce="${this._cnonce}"`);
+    }
 
     return `Digest ${auth_params.join(', ')}`;
   }
+
+  /**
+   * The ha1 to store for later use. A String for MD5 as long as no other
+   * hash function is used, an Object with a value per hash function otherwise.
+   */
+  _getHa1()
+  {
+    const hash_name = getHashName(this._algorithm);
+    const stored = this._credentials.ha1;
+
+    if (hash_name === 'MD5' && (!stored || typeof stored === 'string'))
+    {
+      return this._ha1;
+    }
+
+    const ha1 = typeof stored === 'string' ? { 'MD5': stored } : Object.assign({}, stored);
+
+    ha1[hash_name] = this._ha1;
+
+    return ha1;
+  }
 };
+
+/**
+ * Name of the hash function of the given Digest algorithm.
+ */
+function getHashName(algorithm)
+{
+  return algorithm.replace(/-SESS$/, '');
+}
+
+/**
+ * Precomputed ha1 for the given hash function, if any.
+ */
+function getStoredHa1(credentials, hash_name)
+{
+  const ha1 = credentials.ha1;
+
+  if (!ha1)
+  {
+    return null;
+  }
+  else if (typeof ha1 === 'string')
+  {
+    return hash_name === 'MD5' ? ha1 : null;
+  }
+  else
+  {
+    return ha1[hash_name] || null;
+  }
+}
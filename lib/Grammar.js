@@ -194,6 +194,7 @@ module.exports = (function(){
         "Name_Addr_Header": parse_Name_Addr_Header,
         "Proxy_Authenticate": parse_Proxy_Authenticate,
         "challenge": parse_challenge,
+        "digest_challenge": parse_digest_challenge,
         "other_challenge": parse_other_challenge,
         "auth_param": parse_auth_param,
         "digest_cln": parse_digest_cln,
@@ -208,6 +209,11 @@ module.exports = (function(){
         "algorithm": parse_algorithm,
         "qop_options": parse_qop_options,
         "qop_value": parse_qop_value,
+        "bearer_challenge": parse_bearer_challenge,
+        "bearer_cln": parse_bearer_cln,
+        "scope": parse_scope,
+        "authz_server": parse_authz_server,
+        "bearer_error": parse_bearer_error,
         "Proxy_Require": parse_Proxy_Require,
         "Record_Route": parse_Record_Route,
         "rec_route": parse_rec_route,
@@ -9229,9 +9235,21 @@ module.exports = (function(){
         return result0;
       }
       function parse_challenge() {
+        var result0;
+        result0 = parse_digest_challenge();
+        if (result0 === null) {
+          result0 = parse_bearer_challenge();
+          if (result0 === null) {
+            result0 = parse_other_challenge();
+          }
+        }
+        return result0;
+      }
+      function parse_digest_challenge() {
         var result0, result1, result2, result3, result4, result5;
-        var pos0, pos1;
+        var pos0, pos1, pos2;
         pos0 = pos;
+        pos1 = pos;
         if (input.substr(pos, 6).toLowerCase() === "digest") {
           result0 = input.substr(pos, 6);
           pos += 6;
@@ -9247,7 +9265,7 @@ module.exports = (function(){
             result2 = parse_digest_cln();
             if (result2 !== null) {
               result3 = [];
-              pos1 = pos;
+              pos2 = pos;
               result4 = parse_COMMA();
               if (result4 !== null) {
                 result5 = parse_digest_cln();
@@ -9255,15 +9273,15 @@ module.exports = (function(){
                   result4 = [result4, result5];
                 } else {
                   result4 = null;
-                  pos = pos1;
+                  pos = pos2;
                 }
               } else {
                 result4 = null;
-                pos = pos1;
+                pos = pos2;
               }
               while (result4 !== null) {
                 result3.push(result4);
-                pos1 = pos;
+                pos2 = pos;
                 result4 = parse_COMMA();
                 if (result4 !== null) {
                   result5 = parse_digest_cln();
@@ -9271,33 +9289,37 @@ module.exports = (function(){
                     result4 = [result4, result5];
                   } else {
                     result4 = null;
-                    pos = pos1;
+                    pos = pos2;
                   }
                 } else {
                   result4 = null;
-                  pos = pos1;
+                  pos = pos2;
                 }
               }
               if (result3 !== null) {
                 result0 = [result0, result1, result2, result3];
               } else {
                 result0 = null;
-                pos = pos0;
+                pos = pos1;
               }
             } else {
               result0 = null;
-              pos = pos0;
+              pos = pos1;
             }
           } else {
             result0 = null;
-            pos = pos0;
+            pos = pos1;
           }
         } else {
           result0 = null;
-          pos = pos0;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset) {
+                                data.scheme = 'Digest'; })(pos0);
         }
         if (result0 === null) {
-          result0 = parse_other_challenge();
+          pos = pos0;
         }
         return result0;
       }
@@ -9928,6 +9950,222 @@ module.exports = (function(){
         }
         return result0;
       }
+      function parse_bearer_challenge() {
+        var result0, result1, result2, result3, result4, result5;
+        var pos0, pos1, pos2;
+        pos0 = pos;
+        pos1 = pos;
+        if (input.substr(pos, 6).toLowerCase() === "bearer") {
+          result0 = input.substr(pos, 6);
+          pos += 6;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"Bearer\"");
+          }
+        }
+        if (result0 !== null) {
+          result1 = parse_LWS();
+          if (result1 !== null) {
+            result2 = parse_bearer_cln();
+            if (result2 !== null) {
+              result3 = [];
+              pos2 = pos;
+              result4 = parse_COMMA();
+              if (result4 !== null) {
+                result5 = parse_bearer_cln();
+                if (result5 !== null) {
+                  result4 = [result4, result5];
+                } else {
+                  result4 = null;
+                  pos = pos2;
+                }
+              } else {
+                result4 = null;
+                pos = pos2;
+              }
+              while (result4 !== null) {
+                result3.push(result4);
+                pos2 = pos;
+                result4 = parse_COMMA();
+                if (result4 !== null) {
+                  result5 = parse_bearer_cln();
+                  if (result5 !== null) {
+                    result4 = [result4, result5];
+                  } else {
+                    result4 = null;
+                    pos = pos2;
+                  }
+                } else {
+                  result4 = null;
+                  pos = pos2;
+                }
+              }
+              if (result3 !== null) {
+                result0 = [result0, result1, result2, result3];
+              } else {
+                result0 = null;
+                pos = pos1;
+              }
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset) {
+                                data.scheme = 'Bearer'; })(pos0);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
+      function parse_bearer_cln() {
+        var result0;
+        result0 = parse_realm();
+        if (result0 === null) {
+          result0 = parse_scope();
+          if (result0 === null) {
+            result0 = parse_authz_server();
+            if (result0 === null) {
+              result0 = parse_bearer_error();
+              if (result0 === null) {
+                result0 = parse_auth_param();
+              }
+            }
+          }
+        }
+        return result0;
+      }
+      function parse_scope() {
+        var result0, result1, result2;
+        var pos0, pos1;
+        pos0 = pos;
+        pos1 = pos;
+        if (input.substr(pos, 5).toLowerCase() === "scope") {
+          result0 = input.substr(pos, 5);
+          pos += 5;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"scope\"");
+          }
+        }
+        if (result0 !== null) {
+          result1 = parse_EQUAL();
+          if (result1 !== null) {
+            result2 = parse_quoted_string_clean();
+            if (result2 !== null) {
+              result0 = [result0, result1, result2];
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, scope) { data.scope = scope; })(pos0, result0[2]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
+      function parse_authz_server() {
+        var result0, result1, result2;
+        var pos0, pos1;
+        pos0 = pos;
+        pos1 = pos;
+        if (input.substr(pos, 12).toLowerCase() === "authz_server") {
+          result0 = input.substr(pos, 12);
+          pos += 12;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"authz_server\"");
+          }
+        }
+        if (result0 !== null) {
+          result1 = parse_EQUAL();
+          if (result1 !== null) {
+            result2 = parse_quoted_string_clean();
+            if (result2 !== null) {
+              result0 = [result0, result1, result2];
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, authz_server) {
+                                data.authz_server = authz_server; })(pos0, result0[2]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
+      function parse_bearer_error() {
+        var result0, result1, result2;
+        var pos0, pos1;
+        pos0 = pos;
+        pos1 = pos;
+        if (input.substr(pos, 5).toLowerCase() === "error") {
+          result0 = input.substr(pos, 5);
+          pos += 5;
+        } else {
+          result0 = null;
+          if (reportFailures === 0) {
+            matchFailed("\"error\"");
+          }
+        }
+        if (result0 !== null) {
+          result1 = parse_EQUAL();
+          if (result1 !== null) {
+            result2 = parse_quoted_string_clean();
+            if (result2 !== null) {
+              result0 = [result0, result1, result2];
+            } else {
+              result0 = null;
+              pos = pos1;
+            }
+          } else {
+            result0 = null;
+            pos = pos1;
+          }
+        } else {
+          result0 = null;
+          pos = pos1;
+        }
+        if (result0 !== null) {
+          result0 = (function(offset, error) { data.error = error; })(pos0, result0[2]);
+        }
+        if (result0 === null) {
+          pos = pos0;
+        }
+        return result0;
+      }
       function parse_Proxy_Require() {
         var result0, result1, result2, result3;
         var pos0, pos1;
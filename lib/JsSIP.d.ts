@@ -10,7 +10,8 @@ export { C, Exceptions, Grammar, Utils };
 export {UA} from './UA'
 export {URI} from './URI'
 export {NameAddrHeader} from './NameAddrHeader'
-export {WebSocketInterface, Socket, WeightedSocket} from './WebSocketInterface'
+export {SipResolver} from './SipResolver'
+export {WebSocketInterface, TcpSocket, TlsSocket, UdpSocket, Socket, WeightedSocket} from './WebSocketInterface'
 
 export const debug: Debug
 export const name: string
@@ -7,6 +7,10 @@ const URI = require('./URI');
 const NameAddrHeader = require('./NameAddrHeader');
 const Grammar = require('./Grammar');
 const WebSocketInterface = require('./WebSocketInterface');
+const TcpSocket = require('./TcpSocket');
+const TlsSocket = require('./TlsSocket');
+const UdpSocket = require('./UdpSocket');
+const SipResolver = require('./SipResolver');
 const debug = require('debug')('JsSIP');
 
 debug('version %s', pkg.version);
@@ -22,6 +26,10 @@ module.exports = {
   URI,
   NameAddrHeader,
   WebSocketInterface,
+  TcpSocket,
+  TlsSocket,
+  UdpSocket,
+  SipResolver,
   Grammar,
   // Expose the debug module.
   debug : require('debug'),
@@ -5,6 +5,7 @@ import {ExtraHeaders, Originator, OutgoingListener, SessionDirection, TerminateO
 import {IncomingResponse} from './SIPMessage'
 import {NameAddrHeader} from './NameAddrHeader'
 import {causes} from './Constants';
+import {Account} from './Account'
 
 export interface AcceptOptions extends ExtraHeaders {
   body?: string;
@@ -26,6 +27,7 @@ export interface MessageEventMap {
 export interface SendMessageOptions extends ExtraHeaders {
   contentType?: string;
   eventHandlers?: Partial<MessageEventMap>;
+  account?: Account | string;
 }
 
 export class Message extends EventEmitter {
@@ -60,6 +60,20 @@ module.exports = class Message extends EventEmitter
       throw new TypeError(`Invalid target: ${originalTarget}`);
     }
 
+    // Check account validity.
+    let account = null;
+
+    if (options.account)
+    {
+      account = typeof options.account === 'string' ?
+        this._ua.account(options.account) : options.account;
+
+      if (this._ua.accounts().indexOf(account) === -1)
+      {
+        throw new TypeError(`Invalid account: ${options.account}`);
+      }
+    }
+
     // Get call options.
     const extraHeaders = Utils.cloneArray(options.extraHeaders);
     const eventHandlers = Utils.cloneObject(options.eventHandlers);
@@ -77,7 +91,7 @@ module.exports = class Message extends EventEmitter
     extraHeaders.push(`Content-Type: ${contentType}`);
 
     this._request = new SIPMessage.OutgoingRequest(
-      JsSIP_C.MESSAGE, target, this._ua, null, extraHeaders);
+      JsSIP_C.MESSAGE, target, this._ua, { account }, extraHeaders);
 
     if (body)
     {
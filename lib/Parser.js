@@ -1,9 +1,16 @@
 const Logger = require('./Logger');
 const Grammar = require('./Grammar');
+const Utils = require('./Utils');
 const SIPMessage = require('./SIPMessage');
 
 const logger = new Logger('Parser');
 
+// Default maximum size (in bytes) of a SIP message received over a stream transport.
+const MAX_STREAM_MESSAGE_SIZE = 65535;
+
+const CR = 0x0d;
+const LF = 0x0a;
+
 /**
  * Parse SIP Message
  */
@@ -97,6 +104,267 @@ exports.parseMessage = (data, ua) =>
   return message;
 };
 
+/**
+ * Reassemble SIP messages received over a byte-stream transport (TCP, TLS).
+ *
+ * Stream transports deliver arbitrary chunks of bytes, so a single chunk may
+ * contain a partial message or several pipelined ones. Messages are delimited
+ * by the end of the headers and the Content-Length header (RFC 3261 18.3).
+ * RFC 5626 CRLF keep-alives between messages are discarded and notified via
+ * the optional onkeepalive() callback.
+ *
+ * -param {Object} [options]
+ *  - max_message_size: maximum size in bytes of a single SIP message
+ */
+exports.StreamReassembler = class StreamReassembler
+{
+  constructor({ max_message_size = MAX_STREAM_MESSAGE_SIZE } = {})
+  {
+    this._max_message_size = max_message_size;
+
+    // Received data, pending between _start and _end.
+    this._buffer = new Uint8Array(0);
+    this._start = 0;
+    this._end = 0;
+
+    // Where to go on looking for the end of the headers of the current message.
+    this._scan = 0;
+
+    // Length of the current message, null until its headers are complete.
+    this._messageLength = null;
+
+    // Optional callback for received CRLF keep-alives.
+    this.onkeepalive = null;
+  }
+
+  /**
+   * Append a chunk of data (Uint8Array, Buffer or String) to the stream.
+   * Returns an Array with every complete SIP message (Uint8Array) found so
+   * far, or null if the stream can no longer be framed (message too big or
+   * invalid Content-Length), in which case the connection should be closed.
+   */
+  feed(chunk)
+  {
+    if (typeof chunk === 'string')
+    {
+      chunk = new TextEncoder().encode(chunk);
+    }
+    else if (!(chunk instanceof Uint8Array))
+    {
+      chunk = new Uint8Array(chunk);
+    }
+
+    const messages = [];
+    let offset = 0;
+
+    // Never buffer more than a message of the maximum size (plus one byte to
+    // tell it is exceeded), so the chunk is appended piece by piece.
+    while (offset < chunk.length)
+    {
+      const room = this._max_message_size + 1 - (this._end - this._start);
+      const piece = chunk.subarray(offset, offset + room);
+
+      offset += piece.length;
+      this._append(piece);
+
+      if (!this._extractMessages(messages))
+      {
+        this.reset();
+
+        return null;
+      }
+    }
+
+    return messages;
+  }
+
+  /**
+   * Discard any buffered data (i.e. when the connection is closed).
+   */
+  reset()
+  {
+    this._buffer = new Uint8Array(0);
+    this._start = 0;
+    this._end = 0;
+    this._scan = 0;
+    this._messageLength = null;
+  }
+
+  /**
+   * Copy the given bytes after the pending data, making room if needed.
+   */
+  _append(bytes)
+  {
+    const pending = this._end - this._start;
+
+    if (this._end + bytes.length > this._buffer.length)
+    {
+      // Move the pending data to the start of a buffer with room for as much
+      // data again, so moves do not happen on every append.
+      const size = Math.max(this._buffer.length, 2 * (pending + bytes.length));
+
+      if (size > this._buffer.length)
+      {
+        const buffer = new Uint8Array(size);
+
+        buffer.set(this._buffer.subarray(this._start, this._end));
+        this._buffer = buffer;
+      }
+      else
+      {
+        this._buffer.copyWithin(0, this._start, this._end);
+      }
+
+      this._scan -= this._start;
+      this._end = pending;
+      this._start = 0;
+    }
+
+    this._buffer.set(bytes, this._end);
+    this._end += bytes.length;
+  }
+
+  /**
+   * Move every complete message in the pending data to the given Array.
+   * Returns false if the stream cannot be framed.
+   */
+  _extractMessages(messages)
+  {
+    const buffer = this._buffer;
+
+    while (this._start < this._end)
+    {
+      if (this._messageLength === null)
+      {
+        // RFC 5626 3.5.1. Skip CRLF keep-alives ("ping" and "pong") between messages.
+        let start = this._start;
+
+        while (start + 1 < this._end && buffer[start] === CR && buffer[start + 1] === LF)
+        {
+          start += 2;
+        }
+
+        if (start > this._start)
+        {
+          this._start = start;
+          this._scan = start;
+
+          logger.debug('StreamReassembler | CRLF keep-alive received');
+
+          if (this.onkeepalive)
+          {
+            this.onkeepalive();
+          }
+
+          continue;
+        }
+
+        // A lonely CR, wait for more data.
+        if (this._end - this._start === 1 && buffer[this._start] === CR)
+        {
+          break;
+        }
+
+        const headersEnd = indexOfHeadersEnd(
+          buffer, Math.max(this._scan, this._start), this._end);
+
+        if (headersEnd === -1)
+        {
+          if (this._end - this._start > this._max_message_size)
+          {
+            logger.warn('StreamReassembler | SIP message headers exceed the maximum message size');
+
+            return false;
+          }
+
+          // Only the new data has to be looked at next time.
+          this._scan = Math.max(this._start, this._end - 3);
+
+          break;
+        }
+
+        const contentLength = getContentLength(buffer, this._start, headersEnd);
+
+        if (contentLength === null)
+        {
+          logger.warn('StreamReassembler | invalid Content-Length header');
+
+          return false;
+        }
+
+        this._messageLength = headersEnd - this._start + 4 + contentLength;
+
+        if (this._messageLength > this._max_message_size)
+        {
+          logger.warn(`StreamReassembler | SIP message of ${this._messageLength} bytes exceeds the maximum message size`);
+
+          return false;
+        }
+      }
+
+      if (this._end - this._start < this._messageLength)
+      {
+        break;
+      }
+
+      messages.push(buffer.slice(this._start, this._start + this._messageLength));
+      this._start += this._messageLength;
+      this._scan = this._start;
+      this._messageLength = null;
+    }
+
+    return true;
+  }
+};
+
+/**
+ * Return the position of the empty line ending the headers, between the
+ * given positions, -1 if not found.
+ */
+function indexOfHeadersEnd(buffer, from, to)
+{
+  for (let i = from; i + 3 < to; i++)
+  {
+    if (buffer[i] === CR && buffer[i + 1] === LF &&
+        buffer[i + 2] === CR && buffer[i + 3] === LF)
+    {
+      return i;
+    }
+  }
+
+  return -1;
+}
+
+/**
+ * Get the Content-Length value from the headers. Its absence means no body.
+ * Returns null if the header value is not valid.
+ */
+function getContentLength(buffer, headersStart, headersEnd)
+{
+  // Header names and Content-Length are ASCII, so a byte by byte decoding
+  // is enough and keeps byte offsets.
+  let headers = '';
+
+  for (let i = headersStart; i < headersEnd; i++)
+  {
+    headers += String.fromCharCode(buffer[i]);
+  }
+
+  const match = headers.match(/\r\n(?:content-length|l)[ \t]*:[ \t]*([^\r\n]*)/i);
+
+  if (!match)
+  {
+    return 0;
+  }
+
+  if (!/^\d+[ \t]*$/.test(match[1]))
+  {
+    return null;
+  }
+
+  return parseInt(match[1], 10);
+}
+
 /**
  * Extract and parse every header of a SIP message.
  */
@@ -187,7 +455,13 @@ function parseHeader(message, data, headerStart, headerEnd)
         message.to_tag = parsed.getParam('tag');
       }
       break;
+    // Service-Route (RFC 3608) and Path (RFC 3327) share the Record-Route syntax.
     case 'record-route':
+    case 'service-route':
+    case 'path':
+    {
+      const name = Utils.headerize(headerName);
+
       parsed = Grammar.parse(headerValue, 'Record_Route');
 
       if (parsed === -1)
@@ -198,11 +472,12 @@ function parseHeader(message, data, headerStart, headerEnd)
       {
         for (const header of parsed)
         {
-          message.addHeader('record-route', headerValue.substring(header.possition, header.offset));
-          message.headers['Record-Route'][message.getHeaders('record-route').length - 1].parsed = header.parsed;
+          message.addHeader(name, headerValue.substring(header.possition, header.offset));
+          message.headers[name][message.headers[name].length - 1].parsed = header.parsed;
         }
       }
       break;
+    }
     case 'call-id':
     case 'i':
       message.setHeader('call-id', headerValue);
@@ -256,13 +531,15 @@ function parseHeader(message, data, headerStart, headerEnd)
       parsed = message.parseHeader('max-forwards');
       break;
     case 'www-authenticate':
-      message.setHeader('www-authenticate', headerValue);
-      parsed = message.parseHeader('www-authenticate');
-      break;
     case 'proxy-authenticate':
-      message.setHeader('proxy-authenticate', headerValue);
-      parsed = message.parseHeader('proxy-authenticate');
+    {
+      // Keep every challenge, one per header.
+      const name = headerName.toLowerCase();
+
+      message.addHeader(name, headerValue);
+      parsed = message.parseHeader(name, message.getHeaders(name).length - 1);
       break;
+    }
     case 'session-expires':
     case 'x':
       message.setHeader('session-expires', headerValue);
@@ -4,6 +4,7 @@ import {EventEmitter} from 'events'
 import {IncomingRequest, IncomingResponse, OutgoingRequest} from './SIPMessage'
 import {NameAddrHeader} from './NameAddrHeader'
 import {URI} from './URI'
+import {Account} from './Account'
 import {causes, DTMF_TRANSPORT} from './Constants'
 
 interface RTCPeerConnectionDeprecated extends RTCPeerConnection {
@@ -248,6 +249,8 @@ export class RTCSession extends EventEmitter {
 
   get contact(): string;
 
+  get account(): Account | null;
+
   get direction(): SessionDirection;
 
   get local_identity(): NameAddrHeader;
@@ -60,6 +60,8 @@ module.exports = class RTCSession extends EventEmitter
     this._dialog = null;
     this._earlyDialogs = {};
     this._contact = null;
+    // Account (other than the UA identity) of the session, if any.
+    this._account = null;
     this._from_tag = null;
     this._to_tag = null;
 
@@ -167,6 +169,11 @@ module.exports = class RTCSession extends EventEmitter
     return this._contact;
   }
 
+  get account()
+  {
+    return this._account;
+  }
+
   get direction()
   {
     return this._direction;
@@ -309,6 +316,18 @@ module.exports = class RTCSession extends EventEmitter
       throw new TypeError(`Invalid target: ${originalTarget}`);
     }
 
+    // Check account validity.
+    if (options.account)
+    {
+      this._account = typeof options.account === 'string' ?
+        this._ua.account(options.account) : options.account;
+
+      if (this._ua.accounts().indexOf(this._account) === -1)
+      {
+        throw new TypeError(`Invalid account: ${options.account}`);
+      }
+    }
+
     // Session Timers.
     if (this._sessionTimers.enabled)
     {
@@ -340,9 +359,10 @@ module.exports = class RTCSession extends EventEmitter
     // Set anonymous property.
     const anonymous = options.anonymous || false;
 
-    const requestParams = { from_tag: this._from_tag };
+    const requestParams = { from_tag: this._from_tag, account: this._account };
+    const identity = this._account || this._ua.configuration;
 
-    this._contact = this._ua.contact.toString({
+    this._contact = (this._account || this._ua).contact.toString({
       anonymous,
       outbound : true
     });
@@ -352,14 +372,14 @@ module.exports = class RTCSession extends EventEmitter
       requestParams.from_display_name = 'Anonymous';
       requestParams.from_uri = new URI('sip', 'anonymous', 'anonymous.invalid');
 
-      extraHeaders.push(`P-Preferred-Identity: ${this._ua.configuration.uri.toString()}`);
+      extraHeaders.push(`P-Preferred-Identity: ${identity.uri.toString()}`);
       extraHeaders.push('Privacy: id');
     }
     else if (options.fromUserName)
     {
-      requestParams.from_uri = new URI('sip', options.fromUserName, this._ua.configuration.uri.host);
+      requestParams.from_uri = new URI('sip', options.fromUserName, identity.uri.host);
 
-      extraHeaders.push(`P-Preferred-Identity: ${this._ua.configuration.uri.toString()}`);
+      extraHeaders.push(`P-Preferred-Identity: ${identity.uri.toString()}`);
     }
 
     if (options.fromDisplayName)
@@ -419,7 +439,8 @@ module.exports = class RTCSession extends EventEmitter
     this._from_tag = request.from_tag;
     this._id = request.call_id + this._from_tag;
     this._request = request;
-    this._contact = this._ua.contact.toString();
+    this._account = request.account || null;
+    this._contact = (this._account || this._ua).contact.toString();
 
     // Get the Expires header value if exists.
     if (request.hasHeader('expires'))
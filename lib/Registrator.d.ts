@@ -1,12 +1,50 @@
 import {UA} from './UA'
 import {Transport} from './Transport'
+import {Account} from './Account'
+import {NameAddrHeader} from './NameAddrHeader'
+import {URI} from './URI'
 
 export type ExtraContactParams = Record<string, string | number | boolean>;
 
+export interface Binding {
+  contact: NameAddrHeader;
+  uri: URI;
+  expires: number | null;
+  q: number | null;
+  instance_id: string | null;
+  reg_id: number | null;
+  own: boolean;
+}
+
+export interface RegistrationState {
+  expires: number;
+  associated_uris: string[];
+  pub_gruu: string | null;
+  temp_gruu: string | null;
+  service_route: string[];
+  bindings: Binding[];
+}
+
 export class Registrator {
-  constructor(ua: UA, transport: Transport);
+  constructor(ua: UA, transport?: Transport, reg_id?: number, account?: Account);
+
+  get registered(): boolean;
+
+  get reg_id(): number;
+
+  get transport(): Transport;
+
+  get account(): Account | null;
+
+  get service_route(): string[];
+
+  get state(): RegistrationState | null;
 
   setExtraHeaders(extraHeaders: string[]): void;
 
   setExtraContactParams(extraContactParams: ExtraContactParams): void;
+
+  fetchBindings(): Promise<Binding[]>;
+
+  removeBinding(binding: Binding | string | URI): Promise<Binding[]>;
 }
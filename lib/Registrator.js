@@ -2,45 +2,55 @@ const Logger = require('./Logger');
 const Utils = require('./Utils');
 const JsSIP_C = require('./Constants');
 const SIPMessage = require('./SIPMessage');
+const URI = require('./URI');
 const RequestSender = require('./RequestSender');
+const BearerAuthentication = require('./BearerAuthentication');
 
 const logger = new Logger('Registrator');
 
 const MIN_REGISTER_EXPIRES = 10; // In seconds.
+const MAX_TOKEN_REFRESH_MARGIN = 30; // In seconds.
 
 module.exports = class Registrator
 {
-  constructor(ua, transport)
+  /**
+   * -param {UA} ua
+   * -param {Transport} [transport] flow to register over (UA transport if not given)
+   * -param {Number} [reg_id] RFC 5626 reg-id of the flow
+   * -param {Account} [account] account to register (UA identity if not given)
+   */
+  constructor(ua, transport = null, reg_id = 1, account = null)
   {
-    // Force reg_id to 1.
-    this._reg_id = 1;
+    this._reg_id = reg_id;
 
     this._ua = ua;
     this._transport = transport;
+    this._account = account;
 
-    this._registrar = ua.configuration.registrar_server;
+    // Identity being registered, notified of the registration events.
+    this._owner = account || ua;
+
+    this._registrar = (account || ua.configuration).registrar_server;
     this._expires = ua.configuration.register_expires;
 
     // Call-ID and CSeq values RFC3261 10.2.
     this._call_id = Utils.createRandomToken(22);
     this._cseq = 0;
 
-    this._to_uri = ua.configuration.uri;
+    this._to_uri = account ? account.uri : ua.configuration.uri;
 
     this._registrationTimer = null;
 
+    // Registration retry after a failure.
+    this._retryTimer = null;
+    this._retryAttempts = 0;
+
     // Ongoing Register request.
     this._registering = false;
 
     // Set status.
     this._registered = false;
 
-    // Contact header.
-    this._contact = this._ua.contact.toString();
-
-    // Sip.ice media feature tag (RFC 5768).
-    this._contact += ';+sip.ice';
-
     // Custom headers for REGISTER and un-REGISTER.
     this._extraHeaders = [];
 
@@ -49,9 +59,19 @@ module.exports = class Registrator
 
     // Contents of the sip.instance Contact header parameter.
     this._sipInstance = `"<urn:uuid:${this._ua.configuration.instance_id}>"`;
-    
-    this._contact += `;reg-id=${this._reg_id}`;
-    this._contact += `;+sip.instance=${this._sipInstance}`;
+
+    // Contact header.
+    this._contact = null;
+    this._setContact(this._owner.contact.toString());
+
+    // Public address reflected by the registrar in Via received/rport.
+    this._nat_address = null;
+
+    // Service-Route (RFC 3608) for out-of-dialog requests while registered.
+    this._service_route = [];
+
+    // Details of the current registration.
+    this._state = null;
   }
 
   get registered()
@@ -59,6 +79,39 @@ module.exports = class Registrator
     return this._registered;
   }
 
+  get reg_id()
+  {
+    return this._reg_id;
+  }
+
+  get transport()
+  {
+    return this._transport;
+  }
+
+  get account()
+  {
+    return this._account;
+  }
+
+  get service_route()
+  {
+    return this._service_route.slice();
+  }
+
+  /**
+   * Details of the current registration, null if not registered:
+   *  - expires: expires granted to our Contact
+   *  - associated_uris: URIs in P-Associated-URI (RFC 7315 4.1)
+   *  - pub_gruu, temp_gruu: GRUUs (RFC 5627) of our Contact
+   *  - service_route: Service-Route (RFC 3608)
+   *  - bindings: all the bindings of the AOR, as given by fetchBindings()
+   */
+  get state()
+  {
+    return this._state;
+  }
+
   setExtraHeaders(extraHeaders)
   {
     if (!Array.isArray(extraHeaders))
@@ -103,6 +156,8 @@ module.exports = class Registrator
       return;
     }
 
+    this._clearRetryTimer();
+
     const extraHeaders = this._extraHeaders.slice();
 
     extraHeaders.push(`Contact: \
@@ -113,9 +168,12 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
       JsSIP_C.REGISTER, this._registrar, this._ua, {
         'to_uri'  : this._to_uri,
         'call_id' : this._call_id,
-        'cseq'    : (this._cseq += 1)
+        'cseq'    : (this._cseq += 1),
+        'account' : this._account
       }, extraHeaders);
 
+    this._setPreloadedRoute(request);
+
     const request_sender = new RequestSender(this._ua, request, {
       onRequestTimeout : () =>
       {
@@ -156,6 +214,7 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
           case /^2[0-9]{2}$/.test(response.status_code):
           {
             this._registering = false;
+            this._retryAttempts = 0;
 
             if (!response.hasHeader('Contact'))
             {
@@ -178,7 +237,7 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
             if (!contact)
             {
               contact = contacts.find((element) => (
-                (element.uri.user === this._ua.contact.uri.user)
+                (element.uri.user === this._owner.contact.uri.user)
               ));
             }
 
@@ -203,6 +262,8 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
 
             expires = Number(expires);
 
+            const granted_expires = expires;
+
             if (expires < MIN_REGISTER_EXPIRES)
               expires = MIN_REGISTER_EXPIRES;
 
@@ -211,37 +272,67 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
                 Math.floor(((expires / 2) - 32) * 1000 * Math.random())
               : (expires * 1000) - 5000;
 
+            // RFC 8898. Access tokens expiring before the registration refresh.
+            const tokens = request_sender.authentications.filter((auth) => (
+              auth instanceof BearerAuthentication && auth.get('expires_at') !== null));
+            const token_timeout = this._getTokenRefreshTimeout(tokens);
+
             // Re-Register or emit an event before the expiration interval has elapsed.
             // For that, decrease the expires value. ie: 3 seconds.
             this._registrationTimer = setTimeout(() =>
             {
               this._registrationTimer = null;
-              // If there are no listeners for registrationExpiring, renew registration.
-              // If there are listeners, let the function listening do the register call.
-              if (this._ua.listeners('registrationExpiring').length === 0)
+
+              if (token_timeout < timeout)
               {
-                this.register();
+                this._refreshTokens(tokens);
               }
               else
               {
-                this._ua.emit('registrationExpiring');
+                this._expiring();
               }
-            }, timeout);
+            }, Math.min(timeout, token_timeout));
+
+            // RFC 3608 6. Each registration replaces the previous Service-Route.
+            this._service_route = response.getHeaders('service-route');
 
             // Save gruu values.
-            if (contact.hasParam('temp-gruu'))
+            const temp_gruu = contact.hasParam('temp-gruu') ?
+              contact.getParam('temp-gruu').replace(/"/g, '') : null;
+            const pub_gruu = contact.hasParam('pub-gruu') ?
+              contact.getParam('pub-gruu').replace(/"/g, '') : null;
+
+            if (temp_gruu)
             {
-              this._ua.contact.temp_gruu = contact.getParam('temp-gruu').replace(/"/g, '');
+              this._owner.contact.temp_gruu = temp_gruu;
             }
-            if (contact.hasParam('pub-gruu'))
+            if (pub_gruu)
             {
-              this._ua.contact.pub_gruu = contact.getParam('pub-gruu').replace(/"/g, '');
+              this._owner.contact.pub_gruu = pub_gruu;
             }
 
+            this._state = {
+              expires         : granted_expires,
+              associated_uris : getAssociatedUris(response),
+              pub_gruu        : pub_gruu,
+              temp_gruu       : temp_gruu,
+              service_route   : this.service_route,
+              bindings        : this._parseBindings(response)
+            };
+
             if (!this._registered)
             {
               this._registered = true;
-              this._ua.registered({ response });
+              this._owner.registered({ response, state: this._state });
+            }
+
+            // Register again if our public address has changed.
+            if (this._updateNatContact(response))
+            {
+              clearTimeout(this._registrationTimer);
+              this._registrationTimer = null;
+
+              this.register();
             }
 
             break;
@@ -279,7 +370,7 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
           }
         }
       }
-    });
+    }, this._transport);
 
     this._registering = true;
     request_sender.send();
@@ -287,6 +378,9 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
 
   unregister(options = {})
   {
+    this._clearRetryTimer();
+    this._retryAttempts = 0;
+
     if (!this._registered)
     {
       logger.debug('already unregistered');
@@ -295,6 +389,8 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
     }
 
     this._registered = false;
+    this._service_route = [];
+    this._state = null;
 
     // Clear the registration timer.
     if (this._registrationTimer !== null)
@@ -320,9 +416,12 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
       JsSIP_C.REGISTER, this._registrar, this._ua, {
         'to_uri'  : this._to_uri,
         'call_id' : this._call_id,
-        'cseq'    : (this._cseq += 1)
+        'cseq'    : (this._cseq += 1),
+        'account' : this._account
       }, extraHeaders);
 
+    this._setPreloadedRoute(request);
+
     const request_sender = new RequestSender(this._ua, request, {
       onRequestTimeout : () =>
       {
@@ -355,13 +454,85 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
           }
         }
       }
-    });
+    }, this._transport);
 
     request_sender.send();
   }
 
+  /**
+   * Query the bindings of the AOR (RFC 3261 10.2.3).
+   *
+   * -returns {Promise} resolved with an Array of bindings:
+   *  { contact, uri, expires, q, instance_id, reg_id, own }
+   */
+  fetchBindings()
+  {
+    logger.debug('fetchBindings()');
+
+    return this._sendBindingsRequest(this._extraHeaders.slice());
+  }
+
+  /**
+   * Remove a single binding of the AOR (RFC 3261 10.2.2).
+   *
+   * -param {Object|String|URI} binding binding given by fetchBindings(), its
+   *  Contact URI or its +sip.instance value
+   *
+   * -returns {Promise} resolved with an Array of the remaining bindings
+   */
+  removeBinding(binding)
+  {
+    logger.debug('removeBinding()');
+
+    let lookup;
+
+    if (binding && binding.uri)
+    {
+      lookup = Promise.resolve([ binding ]);
+    }
+    else if (/^("?<)?urn:/i.test(String(binding)))
+    {
+      const instance_id = String(binding).replace(/^"?<|>"?$/g, '');
+
+      // Look for the Contacts of the given instance.
+      lookup = this.fetchBindings()
+        .then((bindings) => bindings.filter((b) => b.instance_id === instance_id));
+    }
+    else
+    {
+      const uri = URI.parse(String(binding));
+
+      if (!uri)
+      {
+        return Promise.reject(new TypeError(`Invalid binding: ${binding}`));
+      }
+
+      lookup = Promise.resolve([ { uri } ]);
+    }
+
+    return lookup
+      .then((bindings) =>
+      {
+        if (bindings.length === 0)
+        {
+          throw new Error(`No binding found for ${binding}`);
+        }
+
+        const extraHeaders = this._extraHeaders.slice();
+
+        for (const b of bindings)
+        {
+          extraHeaders.push(`Contact: <${b.uri}>;expires=0`);
+        }
+
+        return this._sendBindingsRequest(extraHeaders);
+      });
+  }
+
   close()
   {
+    this._clearRetryTimer();
+
     if (this._registered)
     {
       this.unregister();
@@ -372,6 +543,12 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
   onTransportClosed()
   {
     this._registering = false;
+
+    // Registration is retried once the transport is connected again.
+    this._clearRetryTimer();
+    this._service_route = [];
+    this._state = null;
+
     if (this._registrationTimer !== null)
     {
       clearTimeout(this._registrationTimer);
@@ -381,14 +558,195 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
     if (this._registered)
     {
       this._registered = false;
-      this._ua.unregistered({});
+      this._owner.unregistered({});
+    }
+  }
+
+  /**
+   * Send a REGISTER with the given headers, other than our own registration
+   * or un-registration, and get the bindings in the 2XX response. A separate
+   * Call-ID is used so it does not interfere with our registration.
+   */
+  _sendBindingsRequest(extraHeaders)
+  {
+    return new Promise((resolve, reject) =>
+    {
+      const request = new SIPMessage.OutgoingRequest(
+        JsSIP_C.REGISTER, this._registrar, this._ua, {
+          'to_uri'  : this._to_uri,
+          'account' : this._account
+        }, extraHeaders);
+
+      this._setPreloadedRoute(request);
+
+      const fail = (response, cause) =>
+      {
+        const error = new Error(`REGISTER failed: ${cause}`);
+
+        error.response = response;
+        error.cause = cause;
+
+        reject(error);
+      };
+
+      const request_sender = new RequestSender(this._ua, request, {
+        onRequestTimeout : () =>
+        {
+          fail(null, JsSIP_C.causes.REQUEST_TIMEOUT);
+        },
+        onTransportError : () =>
+        {
+          fail(null, JsSIP_C.causes.CONNECTION_ERROR);
+        },
+        onReceiveResponse : (response) =>
+        {
+          if (/^1[0-9]{2}$/.test(response.status_code))
+          {
+            // Ignore provisional responses.
+          }
+          else if (/^2[0-9]{2}$/.test(response.status_code))
+          {
+            resolve(this._parseBindings(response));
+          }
+          else
+          {
+            fail(response, Utils.sipErrorCause(response.status_code));
+          }
+        }
+      }, this._transport);
+
+      request_sender.send();
+    });
+  }
+
+  /**
+   * Get the bindings in the Contact headers of a 2XX response to REGISTER.
+   */
+  _parseBindings(response)
+  {
+    if (!response.hasHeader('Contact'))
+    {
+      return [];
+    }
+
+    const default_expires = response.hasHeader('expires') ?
+      Number(response.getHeader('expires')) : null;
+
+    return response.headers['Contact']
+      .reduce((a, b) => a.concat(b.parsed), [])
+      .map((contact) =>
+      {
+        const expires = contact.getParam('expires');
+        const q = contact.getParam('q');
+        const instance = contact.getParam('+sip.instance');
+        const reg_id = contact.getParam('reg-id');
+
+        return {
+          contact,
+          uri         : contact.uri,
+          expires     : expires ? Number(expires) : default_expires,
+          q           : q ? Number(q) : null,
+          instance_id : instance ? instance.replace(/^"?<|>"?$/g, '') : null,
+          reg_id      : reg_id ? Number(reg_id) : null,
+          own         : this._isOwnBinding(contact)
+        };
+      });
+  }
+
+  /**
+   * Whether the given Contact of a REGISTER response is ours.
+   */
+  _isOwnBinding(contact)
+  {
+    if (contact.hasParam('+sip.instance'))
+    {
+      return this._sipInstance === contact.getParam('+sip.instance') &&
+        this._reg_id === parseInt(contact.getParam('reg-id'));
+    }
+
+    return contact.uri.user === this._owner.contact.uri.user;
+  }
+
+  /**
+   * Build the Contact header value for the given Contact.
+   */
+  _setContact(contact)
+  {
+    this._contact = contact;
+
+    // Sip.ice media feature tag (RFC 5768).
+    this._contact += ';+sip.ice';
+
+    this._contact += `;reg-id=${this._reg_id}`;
+    this._contact += `;+sip.instance=${this._sipInstance}`;
+  }
+
+  /**
+   * Rebuild the Contact with the address in the Via received/rport params of the
+   * response (RFC 3581). Returns true if it changed.
+   */
+  _updateNatContact(response)
+  {
+    const via = response.via;
+
+    if (!this._ua.configuration.nat_contact_rewrite || !via ||
+        (!via.received && !via.rport))
+    {
+      return false;
+    }
+
+    let host = via.received || via.host;
+    const port = via.rport || via.port;
+
+    // IPv6 reference.
+    if (host.indexOf(':') !== -1 && host[0] !== '[')
+    {
+      host = `[${host}]`;
+    }
+
+    if (this._nat_address &&
+        this._nat_address.host === host && this._nat_address.port === port)
+    {
+      return false;
+    }
+
+    logger.debug(`public address changed to ${host}:${port}, updating Contact`);
+
+    this._nat_address = { host, port };
+
+    const uri = this._owner.contact.uri.clone();
+
+    uri.host = host;
+    uri.port = port;
+
+    this._setContact(`<${uri}>`);
+
+    if (this._ua.configuration.nat_contact_rewrite_sessions)
+    {
+      this._owner.contact.nat_uri = uri;
+    }
+
+    return true;
+  }
+
+  /**
+   * The preloaded Route must point to the proxy of the flow the REGISTER is
+   * sent over.
+   */
+  _setPreloadedRoute(request)
+  {
+    if (this._transport && this._ua.configuration.use_preloaded_route)
+    {
+      request.setHeader('route', `<${this._transport.sip_uri};lr>`);
     }
   }
 
   _registrationFailure(response, cause)
   {
     this._registering = false;
-    this._ua.registrationFailed({
+    this._service_route = [];
+    this._state = null;
+    this._owner.registrationFailed({
       response : response || null,
       cause
     });
@@ -396,20 +754,181 @@ ${this._contact};expires=${this._expires}${this._extraContactParams}`);
     if (this._registered)
     {
       this._registered = false;
-      this._ua.unregistered({
+      this._owner.unregistered({
         response : response || null,
         cause
       });
     }
+
+    this._scheduleRetry(response || null, cause);
+  }
+
+  /**
+   * Register again after a transient failure, honoring Retry-After or with
+   * exponential backoff otherwise.
+   */
+  _scheduleRetry(response, cause)
+  {
+    // Disabled, or registering again already (i.e. from 'registrationFailed').
+    if (!this._ua.configuration.register_retry || this._registering)
+    {
+      return;
+    }
+
+    const status_code = response ? response.status_code : null;
+
+    // Wrong credentials, retrying makes no sense.
+    if (cause === JsSIP_C.causes.AUTHENTICATION_ERROR || status_code === 403)
+    {
+      logger.debug('authentication failure, registration not retried');
+
+      return;
+    }
+
+    // The registration is retried once the transport is connected again.
+    if (cause === JsSIP_C.causes.CONNECTION_ERROR)
+    {
+      return;
+    }
+
+    let delay = null;
+
+    if ([ 480, 500, 503 ].indexOf(status_code) !== -1 && response.hasHeader('retry-after'))
+    {
+      const retry_after = parseInt(response.getHeader('retry-after'));
+
+      if (retry_after >= 0)
+      {
+        delay = retry_after;
+      }
+    }
+
+    if (delay === null)
+    {
+      delay = getRetryDelay(
+        this._retryAttempts,
+        this._ua.configuration.register_retry_min_interval,
+        this._ua.configuration.register_retry_max_interval);
+    }
+
+    this._retryAttempts += 1;
+
+    logger.debug(`registration retry #${this._retryAttempts} in ${delay} seconds`);
+
+    this._retryTimer = setTimeout(() =>
+    {
+      this._retryTimer = null;
+      this.register();
+    }, delay * 1000);
+
+    this._owner.emit('registrationRetry', {
+      attempts : this._retryAttempts,
+      delay,
+      retry_at : new Date(Date.now() + (delay * 1000)),
+      response,
+      cause
+    });
+  }
+
+  _clearRetryTimer()
+  {
+    if (this._retryTimer !== null)
+    {
+      clearTimeout(this._retryTimer);
+      this._retryTimer = null;
+    }
+  }
+
+  /**
+   * Renew the registration, unless the application wants to do it on
+   * 'registrationExpiring'.
+   */
+  _expiring()
+  {
+    // If there are no listeners for registrationExpiring, renew registration.
+    // If there are listeners, let the function listening do the register call.
+    if (this._owner.listeners('registrationExpiring').length === 0)
+    {
+      this.register();
+    }
+    else
+    {
+      this._owner.emit('registrationExpiring');
+    }
+  }
+
+  /**
+   * Milliseconds to wait before refreshing the given access tokens, some time
+   * before the first one expires but never less than MIN_REGISTER_EXPIRES.
+   * Infinity if none.
+   */
+  _getTokenRefreshTimeout(tokens)
+  {
+    const timeout = tokens.reduce((min_timeout, auth) =>
+    {
+      const lifetime = Math.max(auth.get('expires_at') - Date.now(), 0);
+      const margin = Math.min(MAX_TOKEN_REFRESH_MARGIN * 1000, lifetime / 2);
+
+      return Math.min(min_timeout, lifetime - margin);
+    }, Infinity);
+
+    // Do not register again and again with short-lived tokens.
+    return Math.max(timeout, MIN_REGISTER_EXPIRES * 1000);
+  }
+
+  /**
+   * RFC 8898. Get new access tokens from the application before the current
+   * ones expire, then renew the registration with them.
+   */
+  _refreshTokens(tokens)
+  {
+    logger.debug('refreshing access tokens before they expire');
+
+    Promise.all(tokens.map((auth) => auth.refresh(auth.get('challenge'))))
+      .catch((error) =>
+      {
+        // Registered again without token, so challenged again.
+        logger.warn(`cannot refresh access token: ${error}`);
+      })
+      .then(() =>
+      {
+        if (this._registered)
+        {
+          this._expiring();
+        }
+      });
   }
 
   _unregistered(response, cause)
   {
     this._registering = false;
     this._registered = false;
-    this._ua.unregistered({
+    this._state = null;
+    this._owner.unregistered({
       response : response || null,
       cause    : cause || null
     });
   }
 };
+
+/**
+ * Seconds to wait before retrying a failed registration. Exponential backoff
+ * with a random number between 50 and 100% of the wait time (RFC 5626 4.5).
+ */
+function getRetryDelay(attempts, min_interval, max_interval)
+{
+  const wait_time = Math.min(max_interval, min_interval * Math.pow(2, attempts));
+
+  return wait_time * (0.5 + (Math.random() * 0.5));
+}
+
+/**
+ * URIs in the P-Associated-URI headers (RFC 7315 4.1). Not just SIP URIs
+ * (i.e. tel: URIs), so given as strings.
+ */
+function getAssociatedUris(response)
+{
+  return response.getHeaders('p-associated-uri')
+    .reduce((uris, value) => uris.concat(value.match(/<[^>]*>/g) || []), [])
+    .map((uri) => uri.slice(1, -1));
+}
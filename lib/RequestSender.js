@@ -1,6 +1,7 @@
 const Logger = require('./Logger');
 const JsSIP_C = require('./Constants');
 const DigestAuthentication = require('./DigestAuthentication');
+const BearerAuthentication = require('./BearerAuthentication');
 const Transactions = require('./Transactions');
 
 const logger = new Logger('RequestSender');
@@ -15,15 +16,29 @@ const EventHandlers = {
 
 module.exports = class RequestSender
 {
-  constructor(ua, request, eventHandlers)
+  /**
+   * -param {UA} ua
+   * -param {OutgoingRequest} request
+   * -param {Object} eventHandlers
+   * -param {Transport} [transport] send over this transport instead of the UA one
+   */
+  constructor(ua, request, eventHandlers, transport = null)
   {
     this._ua = ua;
+    this._transport = transport;
     this._eventHandlers = eventHandlers;
     this._method = request.method;
     this._request = request;
-    this._auth = null;
+    // Digest authentication per realm.
+    this._auths = {};
+    // Authorizations, with their header name, of the last authenticated attempt.
+    this._authorizations = [];
     this._challenged = false;
     this._staled = false;
+    // Already sent again through the next server after a 503 response.
+    this._failedOver = false;
+    // Cached challenges used to authenticate preemptively.
+    this._preemptive = [];
 
     // Define the undefined handlers.
     for (const handler in EventHandlers)
@@ -51,24 +66,31 @@ module.exports = class RequestSender
   send()
   {
     const eventHandlers = {
-      onRequestTimeout  : () => { this._eventHandlers.onRequestTimeout(); },
+      onRequestTimeout  : () => { this._onRequestTimeout(); },
       onTransportError  : () => { this._eventHandlers.onTransportError(); },
       onReceiveResponse : (response) => { this._receiveResponse(response); }
     };
 
+    const transport = this._transport || this._ua.transport;
+
+    if (!this._challenged)
+    {
+      this._authenticatePreemptively();
+    }
+
     switch (this._method)
     {
       case 'INVITE':
         this.clientTransaction = new Transactions.InviteClientTransaction(
-          this._ua, this._ua.transport, this._request, eventHandlers);
+          this._ua, transport, this._request, eventHandlers);
         break;
       case 'ACK':
         this.clientTransaction = new Transactions.AckClientTransaction(
-          this._ua, this._ua.transport, this._request, eventHandlers);
+          this._ua, transport, this._request, eventHandlers);
         break;
       default:
         this.clientTransaction = new Transactions.NonInviteClientTransaction(
-          this._ua, this._ua.transport, this._request, eventHandlers);
+          this._ua, transport, this._request, eventHandlers);
     }
     // If authorization JWT is present, use it.
     if (this._ua._configuration.authorization_jwt)
@@ -79,38 +101,67 @@ module.exports = class RequestSender
     this.clientTransaction.send();
   }
 
+  /**
+   * Authentications (DigestAuthentication or BearerAuthentication) the
+   * request was last sent with.
+   */
+  get authentications()
+  {
+    return this._preemptive.concat(this._authorizations).map(({ auth }) => auth);
+  }
+
   /**
   * Called from client transaction when receiving a correct response to the request.
   * Authenticate request if needed or pass the response back to the applicant.
   */
   _receiveResponse(response)
   {
-    let challenge;
-    let authorization_header_name;
     const status_code = response.status_code;
+    // Credentials of the account sending the request, or of the UA.
+    const credentials = this._request.account || this._ua.configuration;
+    const { credentials_provider, token_provider } = this._ua.configuration;
+
+    if (status_code === 503)
+    {
+      if (this._retryOnNextServer(response))
+      {
+        return;
+      }
+
+      this._failover('503 Service Unavailable');
+    }
+
+    if (status_code === 401 || status_code === 407)
+    {
+      // The cached challenges are no longer accepted, go with the normal flow.
+      this._clearPreemptiveAuthentication();
+    }
+    else if (status_code >= 200 && status_code !== 403 && this._challenged)
+    {
+      // Accepted. Reuse the challenges for later requests.
+      const cache = this._getCredentialsCache();
+
+      for (const authorization of this._authorizations)
+      {
+        cache[authorization.auth.get('realm')] = authorization;
+      }
+    }
 
     /*
     * Authentication
     * Authenticate once. _challenged_ flag used to avoid infinite authentications.
     */
     if ((status_code === 401 || status_code === 407) &&
-        (this._ua.configuration.password !== null || this._ua.configuration.ha1 !== null))
+        (credentials_provider || token_provider ||
+          credentials.password !== null || credentials.ha1 !== null))
     {
+      // Get and parse all the WWW-Authenticate and Proxy-Authenticate headers
+      // and pick one per realm.
+      const challenges = getChallenges(
+        response, credentials_provider ? null : credentials, Boolean(token_provider));
 
-      // Get and parse the appropriate WWW-Authenticate or Proxy-Authenticate header.
-      if (response.status_code === 401)
-      {
-        challenge = response.parseHeader('www-authenticate');
-        authorization_header_name = 'authorization';
-      }
-      else
-      {
-        challenge = response.parseHeader('proxy-authenticate');
-        authorization_header_name = 'proxy-authorization';
-      }
-
-      // Verify it seems a valid challenge.
-      if (!challenge)
+      // Verify there seems to be a valid challenge.
+      if (challenges.length === 0)
       {
         logger.debug(`${response.status_code} with wrong or missing challenge, cannot authenticate`);
         this._eventHandlers.onReceiveResponse(response);
@@ -118,43 +169,53 @@ module.exports = class RequestSender
         return;
       }
 
-      if (!this._challenged || (!this._staled && challenge.stale === true))
+      if (!this._challenged ||
+          (!this._staled && challenges.some(({ challenge }) => challenge.stale === true)))
       {
-        if (!this._auth)
+        // Get the credentials or access tokens from the application.
+        if (credentials_provider ||
+            challenges.some(({ challenge }) => challenge.scheme === 'Bearer'))
         {
-          this._auth = new DigestAuthentication({
-            username : this._ua.configuration.authorization_user,
-            password : this._ua.configuration.password,
-            realm    : this._ua.configuration.realm,
-            ha1      : this._ua.configuration.ha1
-          });
-        }
+          Promise.all(challenges.map(
+            ({ challenge }) => this._getProvidedAuthentication(challenge, credentials)))
+            .then((auths) =>
+            {
+              if (auths.some((auth) => !auth) ||
+                  this._ua.status === this._ua.C.STATUS_USER_CLOSED)
+              {
+                this._eventHandlers.onReceiveResponse(response);
 
-        // Verify that the challenge is really valid.
-        if (!this._auth.authenticate(this._request, challenge))
-        {
-          this._eventHandlers.onReceiveResponse(response);
+                return;
+              }
+
+              challenges.forEach(({ challenge }, idx) =>
+              {
+                this._auths[challenge.realm] = auths[idx];
+              });
+
+              this._authenticate(response, challenges);
+            })
+            .catch((error) =>
+            {
+              logger.warn(`cannot get credentials from the application: ${error}`);
+
+              this._eventHandlers.onReceiveResponse(response);
+            });
 
           return;
         }
-        this._challenged = true;
-
-        // Update ha1 and realm in the UA.
-        this._ua.set('realm', this._auth.get('realm'));
-        this._ua.set('ha1', this._auth.get('ha1'));
 
-        if (challenge.stale)
+        for (const { challenge } of challenges)
         {
-          this._staled = true;
+          this._auths[challenge.realm] =
+            this._getDigestAuthentication(challenge.realm, credentials);
         }
 
-        this._request = this._request.clone();
-        this._request.cseq += 1;
-        this._request.setHeader('cseq', `${this._request.cseq} ${this._method}`);
-        this._request.setHeader(authorization_header_name, this._auth.toString());
-
-        this._eventHandlers.onAuthenticated(this._request);
-        this.send();
+        // The stored ha1 is only valid for a single realm.
+        if (this._authenticate(response, challenges) && challenges.length === 1)
+        {
+          this._storeCredentials(this._auths[challenges[0].challenge.realm]);
+        }
       }
       else
       {
@@ -166,4 +227,383 @@ module.exports = class RequestSender
       this._eventHandlers.onReceiveResponse(response);
     }
   }
+
+  /**
+   * Send the request again answering the given challenges, one credential
+   * header per realm. Returns false if any challenge cannot be answered.
+   */
+  _authenticate(response, challenges)
+  {
+    const headers = {};
+    const realms = challenges.map(({ challenge }) => challenge.realm);
+    // Keep answering the realms challenged in previous attempts.
+    const previous = this._authorizations.filter(
+      ({ auth }) => realms.indexOf(auth.get('realm')) === -1);
+
+    this._authorizations = [];
+
+    for (const authorization of previous)
+    {
+      const name = authorization.authorization_header_name;
+
+      if (authorization.auth.authenticatePreemptively(this._request))
+      {
+        headers[name] = (headers[name] || []).concat(authorization.auth.toString());
+        this._authorizations.push(authorization);
+      }
+    }
+
+    for (const { challenge, authorization_header_name } of challenges)
+    {
+      const auth = this._auths[challenge.realm];
+
+      // Verify that the challenge is really valid.
+      if (!auth.authenticate(this._request, challenge))
+      {
+        this._eventHandlers.onReceiveResponse(response);
+
+        return false;
+      }
+
+      headers[authorization_header_name] =
+        (headers[authorization_header_name] || []).concat(auth.toString());
+      this._authorizations.push({ auth, authorization_header_name });
+
+      if (challenge.stale)
+      {
+        this._staled = true;
+      }
+    }
+    this._challenged = true;
+
+    this._request = this._request.clone();
+    this._request.cseq += 1;
+    this._request.setHeader('cseq', `${this._request.cseq} ${this._method}`);
+
+    // Replace the credentials of the previous attempt.
+    delete this._request.headers.Authorization;
+    delete this._request.headers['Proxy-Authorization'];
+
+    for (const name of Object.keys(headers))
+    {
+      this._request.setHeader(name, headers[name]);
+    }
+
+    this._eventHandlers.onAuthenticated(this._request);
+    this.send();
+
+    return true;
+  }
+
+  /**
+   * Update ha1 and realm in the account or the UA. The plain SIP password is
+   * kept since later requests may be challenged for other realms.
+   */
+  _storeCredentials(auth)
+  {
+    const credentials = this._request.account || this._ua.configuration;
+
+    credentials.realm = auth.get('realm');
+    credentials.ha1 = auth.get('ha1');
+  }
+
+  /**
+   * Digest authentication with the configured credentials for the given realm.
+   */
+  _getDigestAuthentication(realm, credentials)
+  {
+    const auth = this._auths[realm];
+
+    if (auth instanceof DigestAuthentication)
+    {
+      return auth;
+    }
+
+    return new DigestAuthentication({
+      username : credentials.authorization_user,
+      password : credentials.password,
+      realm    : credentials.realm,
+      ha1      : credentials.ha1
+    });
+  }
+
+  /**
+   * Ask the application for the credentials (credentials_provider) or the
+   * access token (token_provider) to answer the given challenge.
+   * Returns a Promise resolved with the authentication to use, null if none.
+   */
+  _getProvidedAuthentication(challenge, credentials)
+  {
+    const { credentials_provider, token_provider } = this._ua.configuration;
+
+    if (challenge.scheme === 'Bearer')
+    {
+      const auth = new BearerAuthentication(token_provider);
+
+      return auth.refresh(challenge, this._request)
+        .then((refreshed) =>
+        {
+          return refreshed ? auth : null;
+        });
+    }
+    else if (!credentials_provider)
+    {
+      return Promise.resolve(this._getDigestAuthentication(challenge.realm, credentials));
+    }
+
+    return Promise.resolve()
+      .then(() => credentials_provider(challenge.realm, challenge, this._request))
+      .then((provided) =>
+      {
+        if (!provided)
+        {
+          return null;
+        }
+
+        return new DigestAuthentication({
+          username : provided.authorization_user || credentials.authorization_user,
+          password : provided.password || null,
+          realm    : challenge.realm,
+          ha1      : provided.ha1 || null
+        });
+      });
+  }
+
+  /**
+   * RFC 7616 3.6. Authorize the request with the last accepted challenge of
+   * every realm, reusing its nonce with the next nonce count.
+   */
+  _authenticatePreemptively()
+  {
+    const cache = this._getCredentialsCache();
+    const headers = {};
+
+    if (this._method === JsSIP_C.ACK || this._method === JsSIP_C.CANCEL)
+    {
+      return;
+    }
+
+    for (const realm of Object.keys(cache))
+    {
+      const entry = cache[realm];
+      const name = entry.authorization_header_name;
+
+      if (!entry.auth.authenticatePreemptively(this._request))
+      {
+        delete cache[realm];
+        continue;
+      }
+
+      headers[name] = (headers[name] || []).concat(entry.auth.toString());
+      this._preemptive.push(entry);
+    }
+
+    for (const name of Object.keys(headers))
+    {
+      this._request.setHeader(name, headers[name]);
+    }
+  }
+
+  /**
+   * Forget the cached challenges used to authenticate preemptively and remove
+   * their credentials from the request.
+   */
+  _clearPreemptiveAuthentication()
+  {
+    const cache = this._getCredentialsCache();
+
+    if (this._preemptive.length === 0)
+    {
+      return;
+    }
+
+    for (const entry of this._preemptive)
+    {
+      const realm = entry.auth.get('realm');
+
+      // Unless already replaced by another request.
+      if (cache[realm] === entry)
+      {
+        delete cache[realm];
+      }
+    }
+
+    this._preemptive = [];
+    delete this._request.headers.Authorization;
+    delete this._request.headers['Proxy-Authorization'];
+  }
+
+  /**
+   * Cached challenges of the account sending the request, or of the UA.
+   */
+  _getCredentialsCache()
+  {
+    const cache = this._ua._cache.credentials;
+    const id = this._request.account ? this._request.account.id : '';
+
+    if (!cache[id])
+    {
+      cache[id] = {};
+    }
+
+    return cache[id];
+  }
+
+  _onRequestTimeout()
+  {
+    this._failover('request timeout');
+    this._eventHandlers.onRequestTimeout();
+  }
+
+  /**
+   * RFC 3263 4.3. Move to the next server on 503 responses and timeouts.
+   */
+  _failover(reason)
+  {
+    if (this._mayFailover())
+    {
+      this.clientTransaction.transport.failover(reason);
+    }
+  }
+
+  /**
+   * Whether a failure of the request says something about the server the
+   * transport is connected to: the request is sent out of dialog to the
+   * outbound proxy, and it did not fail over already.
+   */
+  _mayFailover()
+  {
+    if (!this._ua.configuration.connection_failover_on_error ||
+        !this.clientTransaction || this._failedOver)
+    {
+      return false;
+    }
+
+    // In-dialog request.
+    if (this._request.to.hasParam('tag'))
+    {
+      return false;
+    }
+
+    const routes = this._request.getHeaders('route');
+
+    return routes.length === 0 ||
+      routes[0] === `<${this.clientTransaction.transport.sip_uri};lr>`;
+  }
+
+  /**
+   * RFC 3263 4.3. Send the request again through the next server after a 503
+   * response, once. The 503 is passed to the applicant if there is no other
+   * server. Returns false if the request is not sent again.
+   */
+  _retryOnNextServer(response)
+  {
+    if (!this._mayFailover() || this._method === JsSIP_C.CANCEL)
+    {
+      return false;
+    }
+
+    const transport = this.clientTransaction.transport;
+    const preloaded_route = `<${transport.sip_uri};lr>`;
+
+    this._failedOver = true;
+
+    transport.failover('503 Service Unavailable', (switched) =>
+    {
+      if (!switched || this._ua.status === this._ua.C.STATUS_USER_CLOSED)
+      {
+        this._eventHandlers.onReceiveResponse(response);
+
+        return;
+      }
+
+      logger.debug(`sending ${this._method} again through ${transport.url}`);
+
+      this._request = this._request.clone();
+      this._request.cseq += 1;
+      this._request.setHeader('cseq', `${this._request.cseq} ${this._method}`);
+
+      // The preloaded Route points to the previous server.
+      const routes = this._request.getHeaders('route');
+
+      if (routes[0] === preloaded_route)
+      {
+        routes[0] = `<${transport.sip_uri};lr>`;
+        this._request.setHeader('route', routes);
+      }
+
+      // Let the applicant keep track of the new CSeq, as when authenticating.
+      this._eventHandlers.onAuthenticated(this._request);
+      this.send();
+    });
+
+    return true;
+  }
 };
+
+/**
+ * Parse every header of the given name in the response. The invalid ones are
+ * removed from the response when parsing them.
+ */
+function parseChallenges(response, header_name)
+{
+  const challenges = [];
+  let idx = 0;
+
+  while (idx < response.getHeaders(header_name).length)
+  {
+    const challenge = response.parseHeader(header_name, idx);
+
+    if (challenge)
+    {
+      challenges.push(challenge);
+      idx++;
+    }
+  }
+
+  return challenges;
+}
+
+/**
+ * Get the challenges to answer in the response, one per realm, with the name
+ * of the header to answer each one.
+ * Proxies aggregate the challenges of all the branches in a single response
+ * (RFC 3261 16.7), so both header names are looked at.
+ */
+function getChallenges(response, credentials, bearer)
+{
+  const challenges = [];
+  const header_names = {
+    'www-authenticate'   : 'authorization',
+    'proxy-authenticate' : 'proxy-authorization'
+  };
+
+  for (const header_name of Object.keys(header_names))
+  {
+    const realms = {};
+
+    for (const challenge of parseChallenges(response, header_name))
+    {
+      realms[challenge.realm] = (realms[challenge.realm] || []).concat(challenge);
+    }
+
+    for (const realm of Object.keys(realms))
+    {
+      // Bearer (RFC 8898) if supported, otherwise the strongest Digest one.
+      const challenge = (bearer &&
+        realms[realm].find(({ scheme }) => scheme === 'Bearer')) ||
+        DigestAuthentication.getStrongestChallenge(
+          realms[realm].filter(({ scheme }) => scheme === 'Digest'), credentials);
+
+      if (challenge)
+      {
+        challenges.push({
+          challenge,
+          authorization_header_name : header_names[header_name]
+        });
+      }
+    }
+  }
+
+  return challenges;
+}
@@ -14,6 +14,7 @@ const logger = new Logger('SIPMessage');
  * -param {Object} params parameters that will have priority over ua.configuration parameters:
  * <br>
  *  - cseq, call_id, from_tag, from_uri, from_display_name, to_uri, to_tag, route_set
+ *  - account: Account sending the request (From and credentials)
  * -param {Object} [headers] extra headers
  * -param {String} [body]
  */
@@ -36,16 +37,26 @@ class OutgoingRequest
     this.body = body;
     this.extraHeaders = Utils.cloneArray(extraHeaders);
 
+    // Account (other than the UA identity) sending the request.
+    this.account = params.account || null;
+
     // Fill the Common SIP Request Headers.
 
     // Route.
+    const service_route = method === JsSIP_C.REGISTER ?
+      [] : getServiceRoute(ua, this.account);
+
     if (params.route_set)
     {
       this.setHeader('route', params.route_set);
     }
     else if (ua.configuration.use_preloaded_route)
     {
-      this.setHeader('route', `<${ua.transport.sip_uri};lr>`);
+      this.setHeader('route', [ `<${ua.transport.sip_uri};lr>` ].concat(service_route));
+    }
+    else if (service_route.length > 0)
+    {
+      this.setHeader('route', service_route);
     }
 
     // Via.
@@ -64,7 +75,8 @@ class OutgoingRequest
     this.setHeader('to', this.to.toString());
 
     // From.
-    const from_uri = params.from_uri || ua.configuration.uri;
+    const identity = this.account || ua.configuration;
+    const from_uri = params.from_uri || identity.uri;
     const from_params = { tag: params.from_tag || Utils.newTag() };
     let display_name;
 
@@ -72,9 +84,9 @@ class OutgoingRequest
     {
       display_name = params.from_display_name;
     }
-    else if (ua.configuration.display_name)
+    else if (identity.display_name)
     {
-      display_name = ua.configuration.display_name;
+      display_name = identity.display_name;
     }
     else
     {
@@ -267,7 +279,7 @@ class OutgoingRequest
         {
           supported.push('timer');
         }
-        if (this.ua.contact.pub_gruu || this.ua.contact.temp_gruu)
+        if (hasGruu(this.ua, this.account))
         {
           supported.push('gruu');
         }
@@ -317,6 +329,7 @@ class OutgoingRequest
 
     request.body = this.body;
     request.extraHeaders = Utils.cloneArray(this.extraHeaders);
+    request.account = this.account;
     request.to = this.to;
     request.from = this.from;
     request.call_id = this.call_id;
@@ -351,6 +364,7 @@ class InitialOutgoingInviteRequest extends OutgoingRequest
 
     request.body = this.body;
     request.extraHeaders = Utils.cloneArray(this.extraHeaders);
+    request.account = this.account;
     request.to = this.to;
     request.from = this.from;
     request.call_id = this.call_id;
@@ -565,6 +579,7 @@ class IncomingRequest extends IncomingMessage
     this.ruri = null;
     this.transport = null;
     this.server_transaction = null;
+    this.account = null;
   }
 
   /**
@@ -643,7 +658,7 @@ class IncomingRequest extends IncomingMessage
         {
           supported.push('timer');
         }
-        if (this.ua.contact.pub_gruu || this.ua.contact.temp_gruu)
+        if (hasGruu(this.ua, this.account))
         {
           supported.push('gruu');
         }
@@ -757,6 +772,34 @@ class IncomingResponse extends IncomingMessage
   }
 }
 
+/**
+ * RFC 3608. Service-Route learnt when registering the UA or the given account.
+ */
+function getServiceRoute(ua, account)
+{
+  const owner = account || ua;
+
+  if (typeof owner.registrators !== 'function')
+  {
+    return [];
+  }
+
+  const registrator = owner.registrators()
+    .find((r) => r.registered && r.service_route.length > 0);
+
+  return registrator ? registrator.service_route : [];
+}
+
+/**
+ * Whether the contact of the given account, or of the UA, holds a GRUU.
+ */
+function hasGruu(ua, account)
+{
+  const contact = account ? account.contact : ua.contact;
+
+  return Boolean(contact.pub_gruu || contact.temp_gruu);
+}
+
 module.exports = {
   OutgoingRequest,
   InitialOutgoingInviteRequest,
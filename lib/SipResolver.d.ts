@@ -0,0 +1,32 @@
+import {TlsSocketOptions, WeightedSocket} from './WebSocketInterface'
+import {URI} from './URI'
+
+export type SipTransport = 'udp' | 'tcp' | 'tls';
+
+export interface SipResolverDns {
+  resolveNaptr(hostname: string): Promise<any[]>;
+  resolveSrv(hostname: string): Promise<any[]>;
+  resolve4(hostname: string): Promise<string[]>;
+  resolve6(hostname: string): Promise<string[]>;
+}
+
+export interface SipResolverOptions {
+  dns?: SipResolverDns;
+  transports?: SipTransport[];
+  ipv6?: boolean;
+}
+
+export interface SipTarget {
+  transport: SipTransport;
+  host: string;
+  port: number;
+  name: string;
+}
+
+export class SipResolver {
+  constructor(options?: SipResolverOptions)
+
+  resolve(uri: string | URI): Promise<SipTarget[]>;
+
+  getSockets(uri: string | URI, socket_options?: TlsSocketOptions): Promise<WeightedSocket[]>;
+}
@@ -0,0 +1,336 @@
+const dns = require('dns');
+const net = require('net');
+const Logger = require('./Logger');
+const URI = require('./URI');
+const TcpSocket = require('./TcpSocket');
+const TlsSocket = require('./TlsSocket');
+const UdpSocket = require('./UdpSocket');
+
+const logger = new Logger('SipResolver');
+
+/**
+ * Default port per transport.
+ */
+const DEFAULT_PORTS = {
+  udp : 5060,
+  tcp : 5060,
+  tls : 5061
+};
+
+/**
+ * NAPTR service and SRV prefix per transport (RFC 3263).
+ */
+const SERVICES = {
+  'SIP+D2U'  : 'udp',
+  'SIP+D2T'  : 'tcp',
+  'SIPS+D2T' : 'tls'
+};
+
+const SRV_PREFIXES = {
+  udp : '_sip._udp',
+  tcp : '_sip._tcp',
+  tls : '_sips._tcp'
+};
+
+/**
+ * JsSIP.Socket class per transport.
+ */
+const SOCKETS = {
+  udp : UdpSocket,
+  tcp : TcpSocket,
+  tls : TlsSocket
+};
+
+/**
+ * Locate the SIP servers of a SIP URI by means of NAPTR, SRV and A/AAAA
+ * DNS queries as defined in RFC 3263 (Node.js only).
+ *
+ * -param {Object} [options]
+ *  - dns: DNS backend with the resolveNaptr(), resolveSrv(), resolve4() and
+ *    resolve6() methods of Node's dns.promises API (used by default)
+ *  - transports: supported transports by order of preference
+ *  - ipv6: whether to query AAAA records too
+ */
+module.exports = class SipResolver
+{
+  constructor(options = {})
+  {
+    logger.debug('new()');
+
+    this._dns = options.dns || dns.promises;
+    this._transports = options.transports || [ 'tls', 'tcp', 'udp' ];
+    this._ipv6 = Boolean(options.ipv6);
+
+    for (const transport of this._transports)
+    {
+      if (!SOCKETS[transport])
+      {
+        throw new TypeError(`Invalid argument: unsupported transport ${transport}`);
+      }
+    }
+  }
+
+  /**
+   * Resolve the given SIP URI into an ordered list of targets.
+   *
+   * -param {String|URI} uri 'sip:' or 'sips:' URI
+   *
+   * -returns {Promise} resolved with an Array of { transport, host, port, name }
+   */
+  resolve(uri)
+  {
+    logger.debug('resolve() [uri:"%s"]', uri);
+
+    if (!(uri instanceof URI))
+    {
+      uri = URI.parse(uri);
+    }
+
+    if (!uri || (uri.scheme !== 'sip' && uri.scheme !== 'sips'))
+    {
+      return Promise.reject(new TypeError(`Invalid argument: ${uri}`));
+    }
+
+    const secure = uri.scheme === 'sips';
+    const host = uri.host.replace(/^\[|\]$/g, '');
+    let transports = secure ? [ 'tls' ] : this._transports;
+    let transport = uri.hasParam('transport') ?
+      uri.getParam('transport').toLowerCase() : null;
+
+    if (transport)
+    {
+      // RFC 3263 4.1. sips with TCP transport means TLS.
+      if (secure && transport === 'tcp')
+      {
+        transport = 'tls';
+      }
+
+      if (transports.indexOf(transport) === -1)
+      {
+        return Promise.reject(
+          new TypeError(`Invalid argument: unsupported transport ${transport}`));
+      }
+
+      transports = [ transport ];
+    }
+
+    // RFC 3263 4.1 and 4.2. Numeric IP address or explicit port.
+    if (net.isIP(host) || uri.port)
+    {
+      transport = transport || (secure ? 'tls' : this._defaultTransport(transports));
+
+      const port = uri.port || DEFAULT_PORTS[transport];
+
+      if (net.isIP(host))
+      {
+        return Promise.resolve([ { transport, host, port, name: host } ]);
+      }
+
+      return this._resolveAddresses(host)
+        .then((addresses) => addresses.map((address) => (
+          { transport, host: address, port, name: host })));
+    }
+
+    // RFC 3263 4.1. NAPTR, unless the transport is given.
+    const naptr = transport ? Promise.resolve([]) : this._resolveNaptr(host, transports);
+
+    return naptr
+      .then((records) =>
+      {
+        if (records.length > 0)
+        {
+          return records;
+        }
+
+        // No NAPTR records. Query SRV for every supported transport.
+        return transports.map((srv_transport) => ({
+          transport : srv_transport,
+          name      : `${SRV_PREFIXES[srv_transport]}.${host}`
+        }));
+      })
+      .then((records) => this._resolveSrvs(records))
+      .then((targets) =>
+      {
+        if (targets.length > 0)
+        {
+          return targets;
+        }
+
+        // RFC 3263 4.2. No SRV records. Use the A/AAAA records of the host.
+        transport = transport || (secure ? 'tls' : this._defaultTransport(transports));
+
+        return this._resolveAddresses(host)
+          .then((addresses) => addresses.map((address) => ({
+            transport,
+            host : address,
+            port : DEFAULT_PORTS[transport],
+            name : host
+          })));
+      })
+      .then((targets) =>
+      {
+        logger.debug('resolved %s targets for %s', targets.length, uri);
+
+        return targets;
+      });
+  }
+
+  /**
+   * Resolve the given SIP URI into weighted JsSIP.Socket instances, ready to
+   * be given as UA 'sockets' configuration. The higher the weight the sooner
+   * the socket is tried.
+   *
+   * -param {String|URI} uri 'sip:' or 'sips:' URI
+   * -param {Object} [socket_options] options given to every socket
+   *
+   * -returns {Promise} resolved with an Array of { socket, weight }
+   */
+  getSockets(uri, socket_options = {})
+  {
+    logger.debug('getSockets() [uri:"%s"]', uri);
+
+    return this.resolve(uri)
+      .then((targets) =>
+      {
+        if (targets.length === 0)
+        {
+          throw new Error(`No SIP server found for ${uri}`);
+        }
+
+        // RFC 5922 4.1. The certificate must match the SIP domain, not the
+        // name of the SRV target.
+        const domain = URI.parse(String(uri)).host.replace(/^\[|\]$/g, '');
+
+        return targets.map((target, idx) =>
+        {
+          const host = net.isIPv6(target.host) ? `[${target.host}]` : target.host;
+          const options = Object.assign({}, socket_options);
+
+          if (target.transport === 'tls' && !options.servername && !net.isIP(domain))
+          {
+            options.servername = domain;
+          }
+
+          return {
+            socket : new SOCKETS[target.transport](
+              `${target.transport}://${host}:${target.port}`, options),
+            weight : targets.length - idx
+          };
+        });
+      });
+  }
+
+  /**
+   * Private API.
+   */
+
+  _defaultTransport(transports)
+  {
+    // RFC 3263 4.1. UDP by default if supported.
+    return transports.indexOf('udp') !== -1 ? 'udp' : transports[0];
+  }
+
+  /**
+   * Get the SRV names to query from the NAPTR records of the host.
+   */
+  _resolveNaptr(host, transports)
+  {
+    return this._query('resolveNaptr', host)
+      .then((records) => records
+        .filter((record) => (
+          (record.flags || '').toLowerCase() === 's' &&
+          transports.indexOf(SERVICES[(record.service || '').toUpperCase()]) !== -1
+        ))
+        .sort((a, b) => (a.order - b.order) || (a.preference - b.preference))
+        .map((record) => ({
+          transport : SERVICES[record.service.toUpperCase()],
+          name      : record.replacement
+        })));
+  }
+
+  /**
+   * Resolve the given SRV names, in order, into targets.
+   */
+  _resolveSrvs(records)
+  {
+    return Promise.all(records.map((record) =>
+      this._query('resolveSrv', record.name)
+        .then((srvs) => Promise.all(orderSrv(srvs).map((srv) =>
+          this._resolveAddresses(srv.name)
+            .then((addresses) => addresses.map((address) => ({
+              transport : record.transport,
+              host      : address,
+              port      : srv.port,
+              name      : srv.name
+            }))))))
+        .then((targets) => [].concat(...targets))))
+      .then((targets) => [].concat(...targets));
+  }
+
+  _resolveAddresses(host)
+  {
+    const queries = [ this._query('resolve4', host) ];
+
+    if (this._ipv6)
+    {
+      queries.push(this._query('resolve6', host));
+    }
+
+    return Promise.all(queries)
+      .then((addresses) => [].concat(...addresses));
+  }
+
+  /**
+   * Run a DNS query. A failed query means no records.
+   */
+  _query(method, name)
+  {
+    return Promise.resolve()
+      .then(() => this._dns[method](name))
+      .then((records) => records || [])
+      .catch((error) =>
+      {
+        logger.debug(`${method}(${name}) failed: ${error.code || error}`);
+
+        return [];
+      });
+  }
+};
+
+/**
+ * Order SRV records by priority and, within the same priority, by a weighted
+ * random selection (RFC 2782).
+ */
+function orderSrv(records)
+{
+  const ordered = [];
+  const priorities = [ ...new Set(records.map((record) => record.priority)) ]
+    .sort((a, b) => a - b);
+
+  for (const priority of priorities)
+  {
+    const group = records.filter((record) => record.priority === priority);
+
+    while (group.length > 0)
+    {
+      const total = group.reduce((sum, record) => sum + record.weight, 0);
+      let random = Math.random() * total;
+      let idx = group.findIndex((record) =>
+      {
+        random -= record.weight;
+
+        return random < 0;
+      });
+
+      // All weights are zero.
+      if (idx === -1)
+      {
+        idx = 0;
+      }
+
+      ordered.push(group.splice(idx, 1)[0]);
+    }
+  }
+
+  return ordered;
+}
@@ -0,0 +1,278 @@
+const net = require('net');
+const Logger = require('./Logger');
+const Grammar = require('./Grammar');
+const Parser = require('./Parser');
+
+const logger = new Logger('TcpSocket');
+
+/**
+ * Default port per URL scheme.
+ */
+const DEFAULT_PORTS = {
+  tcp : 5060,
+  tls : 5061
+};
+
+/**
+ * JsSIP.Socket implementation for SIP over TCP (Node.js only).
+ *
+ * -param {String} url 'tcp://host[:port]'
+ * -param {Object} [options]
+ *  - local_address: local address to bind the connection to
+ *  - local_port: local port to bind the connection to
+ *  - max_message_size: maximum size in bytes of a received SIP message
+ */
+module.exports = class TcpSocket
+{
+  constructor(url, options = {})
+  {
+    logger.debug('new() [url:"%s"]', url);
+
+    this._url = url;
+    this._options = options;
+    this._sip_uri = null;
+    this._via_transport = null;
+    this._host = null;
+    this._port = null;
+    this._socket = null;
+    this._connected = false;
+    this._lastError = null;
+
+    // Split the byte stream into SIP messages.
+    this._reassembler = new Parser.StreamReassembler({
+      max_message_size : options.max_message_size
+    });
+
+    // Notify CRLF keep-alive responses the same way WebSocket delivers them.
+    this._reassembler.onkeepalive = () => this.ondata('\r\n');
+
+    const parsed_url = Grammar.parse(url, 'absoluteURI');
+
+    if (parsed_url === -1)
+    {
+      logger.warn(`invalid ${this._scheme.toUpperCase()} URI: ${url}`);
+      throw new TypeError(`Invalid argument: ${url}`);
+    }
+    else if (parsed_url.scheme !== this._scheme)
+    {
+      logger.warn(`invalid ${this._scheme.toUpperCase()} URI scheme: ${parsed_url.scheme}`);
+      throw new TypeError(`Invalid argument: ${url}`);
+    }
+    else
+    {
+      this._host = parsed_url.host;
+      this._port = parsed_url.port || DEFAULT_PORTS[this._scheme];
+      this._sip_uri = `sip:${parsed_url.host}${parsed_url.port ? `:${parsed_url.port}` : ''};transport=${this._scheme}`;
+      this._via_transport = this._scheme.toUpperCase();
+    }
+  }
+
+  get via_transport()
+  {
+    return this._via_transport;
+  }
+
+  set via_transport(value)
+  {
+    this._via_transport = value.toUpperCase();
+  }
+
+  get sip_uri()
+  {
+    return this._sip_uri;
+  }
+
+  get url()
+  {
+    return this._url;
+  }
+
+  connect()
+  {
+    logger.debug('connect()');
+
+    if (this.isConnected())
+    {
+      logger.debug(`socket ${this._url} is already connected`);
+
+      return;
+    }
+    else if (this.isConnecting())
+    {
+      logger.debug(`socket ${this._url} is connecting`);
+
+      return;
+    }
+
+    if (this._socket)
+    {
+      this.disconnect();
+    }
+
+    logger.debug(`connecting to socket ${this._url}`);
+
+    try
+    {
+      this._socket = this._createSocket();
+
+      this._socket.on(this._connectEvent, this._onOpen.bind(this));
+      this._socket.on('close', this._onClose.bind(this));
+      this._socket.on('data', this._onData.bind(this));
+      this._socket.on('error', this._onError.bind(this));
+    }
+    catch (e)
+    {
+      this._onError(e);
+    }
+  }
+
+  disconnect()
+  {
+    logger.debug('disconnect()');
+
+    if (this._socket)
+    {
+      // Unbind socket event callbacks.
+      this._socket.removeAllListeners();
+      // Keep an error listener so late errors do not throw.
+      this._socket.on('error', () => {});
+
+      this._socket.destroy();
+      this._socket = null;
+      this._connected = false;
+    }
+
+    this._reassembler.reset();
+  }
+
+  send(message)
+  {
+    logger.debug('send()');
+
+    if (this.isConnected())
+    {
+      this._socket.write(message);
+
+      return true;
+    }
+    else
+    {
+      logger.warn(`unable to send message, socket ${this._url} is not open`);
+
+      return false;
+    }
+  }
+
+  isConnected()
+  {
+    return Boolean(this._socket) && this._connected;
+  }
+
+  isConnecting()
+  {
+    return Boolean(this._socket) && !this._connected && !this._socket.destroyed;
+  }
+
+  /**
+   * Private API.
+   */
+
+  get _scheme()
+  {
+    return 'tcp';
+  }
+
+  get _connectEvent()
+  {
+    return 'connect';
+  }
+
+  _createSocket()
+  {
+    return net.connect(this._getConnectOptions());
+  }
+
+  _getConnectOptions()
+  {
+    const options = {
+      // Remove IPv6 reference brackets.
+      host : this._host.replace(/^\[|\]$/g, ''),
+      port : this._port
+    };
+
+    if (this._options.local_address)
+    {
+      options.localAddress = this._options.local_address;
+    }
+
+    if (this._options.local_port)
+    {
+      options.localPort = this._options.local_port;
+    }
+
+    return options;
+  }
+
+  /**
+   * Socket Event Handlers
+   */
+
+  _onOpen()
+  {
+    logger.debug(`socket ${this._url} connected`);
+
+    this._connected = true;
+    this._socket.setNoDelay(true);
+
+    this.onconnect();
+  }
+
+  _onClose(hadError)
+  {
+    logger.debug(`socket ${this._url} closed`);
+
+    if (hadError)
+    {
+      logger.debug('socket abrupt disconnection');
+    }
+
+    this._socket = null;
+    this._connected = false;
+    this._reassembler.reset();
+
+    this.ondisconnect(hadError, this._lastError ? this._lastError.code : undefined,
+      this._lastError ? this._lastError.message : undefined);
+
+    this._lastError = null;
+  }
+
+  _onData(data)
+  {
+    logger.debug('received socket data');
+
+    const messages = this._reassembler.feed(data);
+
+    // The stream cannot be framed anymore, close the connection.
+    if (!messages)
+    {
+      logger.warn(`socket ${this._url} received invalid data, closing the connection`);
+
+      this._lastError = new Error('Invalid SIP message framing');
+      this._socket.destroy(this._lastError);
+
+      return;
+    }
+
+    for (const message of messages)
+    {
+      this.ondata(message);
+    }
+  }
+
+  _onError(e)
+  {
+    logger.warn(`socket ${this._url} error: `, e);
+
+    this._lastError = e;
+  }
+};
@@ -13,5 +13,13 @@ module.exports = {
   TIMER_K                       : 0 * T4,
   TIMER_L                       : 64 * T1,
   TIMER_M                       : 64 * T1,
-  PROVISIONAL_RESPONSE_INTERVAL : 60000 // See RFC 3261 Section 13.3.1.1
+  PROVISIONAL_RESPONSE_INTERVAL : 60000, // See RFC 3261 Section 13.3.1.1
+
+  // Timers whose value differs on unreliable transports (UDP). RFC 3261 17.
+  UNRELIABLE : {
+    TIMER_D : 32000,
+    TIMER_I : T4,
+    TIMER_J : 64 * T1,
+    TIMER_K : T4
+  }
 };
@@ -0,0 +1,68 @@
+const tls = require('tls');
+const Logger = require('./Logger');
+const TcpSocket = require('./TcpSocket');
+
+const logger = new Logger('TlsSocket');
+
+/**
+ * JsSIP.Socket implementation for SIP over TLS (Node.js only).
+ *
+ * -param {String} url 'tls://host[:port]'
+ * -param {Object} [options]
+ *  - ca: trusted CA certificate(s) (PEM)
+ *  - cert: client certificate (PEM)
+ *  - key: client private key (PEM)
+ *  - servername: SNI server name (defaults to the URL host if it is a domain)
+ *  - rejectUnauthorized: verify the server certificate (default true)
+ *  - local_address, local_port: as in JsSIP.TcpSocket
+ */
+module.exports = class TlsSocket extends TcpSocket
+{
+  constructor(url, options = {})
+  {
+    super(url, options);
+
+    logger.debug('new() [url:"%s"]', url);
+  }
+
+  /**
+   * Private API.
+   */
+
+  get _scheme()
+  {
+    return 'tls';
+  }
+
+  get _connectEvent()
+  {
+    return 'secureConnect';
+  }
+
+  _createSocket()
+  {
+    const options = this._getConnectOptions();
+
+    for (const option of [ 'ca', 'cert', 'key' ])
+    {
+      if (this._options[option])
+      {
+        options[option] = this._options[option];
+      }
+    }
+
+    if (this._options.servername)
+    {
+      options.servername = this._options.servername;
+    }
+    // SNI is not allowed for IP addresses.
+    else if (!/^[\d.]+$|^\[/.test(this._host))
+    {
+      options.servername = this._host;
+    }
+
+    options.rejectUnauthorized = this._options.rejectUnauthorized !== false;
+
+    return tls.connect(options);
+  }
+};
@@ -40,11 +40,7 @@ class NonInviteClientTransaction extends EventEmitter
     this.request = request;
     this.eventHandlers = eventHandlers;
 
-    let via = `SIP/2.0/${transport.via_transport}`;
-
-    via += ` ${ua.configuration.via_host};branch=${this.id}`;
-
-    this.request.setHeader('via', via);
+    this.request.setHeader('via', buildVia(ua, transport, this.id));
 
     this.ua.newTransaction(this);
   }
@@ -63,17 +59,51 @@ class NonInviteClientTransaction extends EventEmitter
   send()
   {
     this.stateChanged(C.STATUS_TRYING);
+
+    // Hold the request while the transport is reconnecting.
+    if (!this.transport.isConnected() &&
+        this.transport.enqueue(this.request,
+          (sent) => { this.onQueueFlush(sent); },
+          () => { this.timer_F(); }))
+    {
+      this.queued = true;
+
+      return;
+    }
+
+    this.sendRequest(this.transport.send(this.request));
+  }
+
+  sendRequest(sent)
+  {
     this.F = setTimeout(() => { this.timer_F(); }, Timers.TIMER_F);
 
-    if (!this.transport.send(this.request))
+    if (!sent)
     {
       this.onTransportError();
     }
+    else if (isUnreliable(this.transport))
+    {
+      this.E = setTimeout(() => { this.timer_E(Timers.T1); }, Timers.T1);
+    }
+  }
+
+  onQueueFlush(sent)
+  {
+    this.queued = false;
+
+    if (this.state !== C.STATUS_TRYING)
+    {
+      return;
+    }
+
+    this.sendRequest(sent);
   }
 
   onTransportError()
   {
     loggernict.debug(`transport error occurred, deleting transaction ${this.id}`);
+    clearTimeout(this.E);
     clearTimeout(this.F);
     clearTimeout(this.K);
     this.stateChanged(C.STATUS_TERMINATED);
@@ -81,9 +111,33 @@ class NonInviteClientTransaction extends EventEmitter
     this.eventHandlers.onTransportError();
   }
 
+  // RFC 3261 17.1.2.2. Request retransmission on unreliable transports.
+  timer_E(interval)
+  {
+    if (this.state !== C.STATUS_TRYING && this.state !== C.STATUS_PROCEEDING)
+    {
+      return;
+    }
+
+    loggernict.debug(`Timer E expired for transaction ${this.id}`);
+
+    if (!this.transport.send(this.request))
+    {
+      this.onTransportError();
+
+      return;
+    }
+
+    interval = (this.state === C.STATUS_PROCEEDING) ?
+      Timers.T2 : Math.min(interval * 2, Timers.T2);
+
+    this.E = setTimeout(() => { this.timer_E(interval); }, interval);
+  }
+
   timer_F()
   {
     loggernict.debug(`Timer F expired for transaction ${this.id}`);
+    clearTimeout(this.E);
     this.stateChanged(C.STATUS_TERMINATED);
     this.ua.destroyTransaction(this);
     this.eventHandlers.onRequestTimeout();
@@ -117,6 +171,7 @@ class NonInviteClientTransaction extends EventEmitter
         case C.STATUS_TRYING:
         case C.STATUS_PROCEEDING:
           this.stateChanged(C.STATUS_COMPLETED);
+          clearTimeout(this.E);
           clearTimeout(this.F);
 
           if (status_code === 408)
@@ -128,7 +183,7 @@ class NonInviteClientTransaction extends EventEmitter
             this.eventHandlers.onReceiveResponse(response);
           }
 
-          this.K = setTimeout(() => { this.timer_K(); }, Timers.TIMER_K);
+          this.K = setTimeout(() => { this.timer_K(); }, getTimer('TIMER_K', this.transport));
           break;
         case C.STATUS_COMPLETED:
           break;
@@ -151,11 +206,7 @@ class InviteClientTransaction extends EventEmitter
     this.eventHandlers = eventHandlers;
     request.transaction = this;
 
-    let via = `SIP/2.0/${transport.via_transport}`;
-
-    via += ` ${ua.configuration.via_host};branch=${this.id}`;
-
-    this.request.setHeader('via', via);
+    this.request.setHeader('via', buildVia(ua, transport, this.id));
 
     this.ua.newTransaction(this);
   }
@@ -183,10 +234,15 @@ class InviteClientTransaction extends EventEmitter
     {
       this.onTransportError();
     }
+    else if (isUnreliable(this.transport))
+    {
+      this.A = setTimeout(() => { this.timer_A(Timers.T1); }, Timers.T1);
+    }
   }
 
   onTransportError()
   {
+    clearTimeout(this.A);
     clearTimeout(this.B);
     clearTimeout(this.D);
     clearTimeout(this.M);
@@ -214,10 +270,33 @@ class InviteClientTransaction extends EventEmitter
     }
   }
 
+  // RFC 3261 17.1.1.2. Request retransmission on unreliable transports.
+  timer_A(interval)
+  {
+    if (this.state !== C.STATUS_CALLING)
+    {
+      return;
+    }
+
+    loggerict.debug(`Timer A expired for transaction ${this.id}`);
+
+    if (!this.transport.send(this.request))
+    {
+      this.onTransportError();
+
+      return;
+    }
+
+    interval *= 2;
+
+    this.A = setTimeout(() => { this.timer_A(interval); }, interval);
+  }
+
   // RFC 3261 17.1.1.
   timer_B()
   {
     loggerict.debug(`Timer B expired for transaction ${this.id}`);
+    clearTimeout(this.A);
     if (this.state === C.STATUS_CALLING)
     {
       this.stateChanged(C.STATUS_TERMINATED);
@@ -236,20 +315,24 @@ class InviteClientTransaction extends EventEmitter
 
   sendACK(response)
   {
-    const ack = new SIPMessage.OutgoingRequest(JsSIP_C.ACK, this.request.ruri,
-      this.ua, {
-        'route_set' : this.request.getHeaders('route'),
-        'call_id'   : this.request.getHeader('call-id'),
-        'cseq'      : this.request.cseq
-      });
-
-    ack.setHeader('from', this.request.getHeader('from'));
-    ack.setHeader('via', this.request.getHeader('via'));
-    ack.setHeader('to', response.getHeader('to'));
-
-    this.D = setTimeout(() => { this.timer_D(); }, Timers.TIMER_D);
+    // Retransmissions of the final response are answered with the same ACK.
+    if (!this.ack)
+    {
+      this.ack = new SIPMessage.OutgoingRequest(JsSIP_C.ACK, this.request.ruri,
+        this.ua, {
+          'route_set' : this.request.getHeaders('route'),
+          'call_id'   : this.request.getHeader('call-id'),
+          'cseq'      : this.request.cseq
+        });
+
+      this.ack.setHeader('from', this.request.getHeader('from'));
+      this.ack.setHeader('via', this.request.getHeader('via'));
+      this.ack.setHeader('to', response.getHeader('to'));
+
+      this.D = setTimeout(() => { this.timer_D(); }, getTimer('TIMER_D', this.transport));
+    }
 
-    this.transport.send(ack);
+    this.transport.send(this.ack);
   }
 
   cancel(reason)
@@ -283,6 +366,9 @@ class InviteClientTransaction extends EventEmitter
   {
     const status_code = response.status_code;
 
+    // Any response stops request retransmissions.
+    clearTimeout(this.A);
+
     if (status_code >= 100 && status_code <= 199)
     {
       switch (this.state)
@@ -343,11 +429,7 @@ class AckClientTransaction extends EventEmitter
     this.request = request;
     this.eventHandlers = eventHandlers;
 
-    let via = `SIP/2.0/${transport.via_transport}`;
-
-    via += ` ${ua.configuration.via_host};branch=${this.id}`;
-
-    this.request.setHeader('via', via);
+    this.request.setHeader('via', buildVia(ua, transport, this.id));
   }
 
   get C()
@@ -467,7 +549,7 @@ class NonInviteServerTransaction extends EventEmitter
           this.J = setTimeout(() =>
           {
             this.timer_J();
-          }, Timers.TIMER_J);
+          }, getTimer('TIMER_J', this.transport));
           if (!this.transport.send(response))
           {
             this.onTransportError();
@@ -522,9 +604,32 @@ class InviteServerTransaction extends EventEmitter
     this.emit('stateChanged');
   }
 
+  // RFC 3261 17.2.1. Final response retransmission on unreliable transports.
+  timer_G(interval)
+  {
+    if (this.state !== C.STATUS_COMPLETED)
+    {
+      return;
+    }
+
+    loggerist.debug(`Timer G expired for transaction ${this.id}`);
+
+    if (!this.transport.send(this.last_response))
+    {
+      this.onTransportError();
+
+      return;
+    }
+
+    interval = Math.min(interval * 2, Timers.T2);
+
+    this.G = setTimeout(() => { this.timer_G(interval); }, interval);
+  }
+
   timer_H()
   {
     loggerist.debug(`Timer H expired for transaction ${this.id}`);
+    clearTimeout(this.G);
 
     if (this.state === C.STATUS_COMPLETED)
     {
@@ -567,6 +672,7 @@ class InviteServerTransaction extends EventEmitter
         this.resendProvisionalTimer = null;
       }
 
+      clearTimeout(this.G);
       clearTimeout(this.L);
       clearTimeout(this.H);
       clearTimeout(this.I);
@@ -670,10 +776,17 @@ class InviteServerTransaction extends EventEmitter
           else
           {
             this.stateChanged(C.STATUS_COMPLETED);
+            this.last_response = response;
             this.H = setTimeout(() =>
             {
               this.timer_H();
             }, Timers.TIMER_H);
+
+            if (isUnreliable(this.transport))
+            {
+              this.G = setTimeout(() => { this.timer_G(Timers.T1); }, Timers.T1);
+            }
+
             if (onSuccess)
             {
               onSuccess();
@@ -685,6 +798,49 @@ class InviteServerTransaction extends EventEmitter
   }
 }
 
+/**
+ * Whether the transport is unreliable (UDP) and thus the transaction layer
+ * must retransmit requests and final responses. RFC 3261 17.
+ */
+function isUnreliable(transport)
+{
+  return transport.via_transport === 'UDP';
+}
+
+/**
+ * Build the Via header value for a request sent by a client transaction.
+ * Request the source address and port (RFC 3581) when NAT Contact rewriting
+ * is enabled.
+ */
+function buildVia(ua, transport, branch)
+{
+  let via = `SIP/2.0/${transport.via_transport}`;
+
+  via += ` ${ua.configuration.via_host}`;
+
+  if (ua.configuration.nat_contact_rewrite)
+  {
+    via += ';rport';
+  }
+
+  via += `;branch=${branch}`;
+
+  return via;
+}
+
+/**
+ * Get the value of the given timer for the given transport.
+ */
+function getTimer(name, transport)
+{
+  if (isUnreliable(transport) && name in Timers.UNRELIABLE)
+  {
+    return Timers.UNRELIABLE[name];
+  }
+
+  return Timers[name];
+}
+
 /**
  * INVITE:
  *  _true_ if retransmission
@@ -716,6 +872,7 @@ function checkTransaction({ _transactions }, request)
         switch (tr.state)
         {
           case C.STATUS_PROCEEDING:
+          case C.STATUS_COMPLETED:
             tr.transport.send(tr.last_response);
             break;
 
@@ -741,7 +898,8 @@ function checkTransaction({ _transactions }, request)
         else if (tr.state === C.STATUS_COMPLETED)
         {
           tr.state = C.STATUS_CONFIRMED;
-          tr.I = setTimeout(() => { tr.timer_I(); }, Timers.TIMER_I);
+          clearTimeout(tr.G);
+          tr.I = setTimeout(() => { tr.timer_I(); }, getTimer('TIMER_I', tr.transport));
 
           return true;
         }
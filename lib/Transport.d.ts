@@ -5,6 +5,65 @@ export interface RecoveryOptions {
   max_interval: number;
 }
 
+export type SocketSelectionFunction = (candidates: Socket[], current: Socket | null) => Socket;
+
+export type SocketSelection = 'random' | 'priority' | 'round_robin' | 'sticky' | SocketSelectionFunction;
+
+export type DisconnectCause = 'timeout' | 'refused' | 'tls_error' | 'closed' | 'error';
+
+export interface TransportOptions {
+  keep_alive_interval?: number;
+  keep_alive_timeout?: number;
+  socket_selection?: SocketSelection;
+  socket_cooldown?: number;
+  connect_timeout?: number;
+  hot_standby?: boolean;
+  queue_size?: number;
+  queue_timeout?: number;
+}
+
+export interface SocketStatus {
+  socket: Socket;
+  url: string;
+  weight: number;
+  active: boolean;
+  standby: boolean;
+  available: boolean;
+  failures: number;
+  failure_causes: { [cause: string]: number };
+  cooldown_until: number | null;
+}
+
+export interface SocketStats {
+  url: string;
+  active: boolean;
+  messages_sent: number;
+  bytes_sent: number;
+  messages_received: number;
+  bytes_received: number;
+  connect_attempts: number;
+  reconnect_attempts: number;
+  time_connected: number;
+  last_error_code: any;
+  last_error_reason: string | null;
+  last_error_cause: DisconnectCause | null;
+}
+
+export interface TransportStats {
+  status: number;
+  url: string;
+  recover_attempts: number;
+  sockets: SocketStats[];
+}
+
 export class Transport extends Socket {
-  constructor(sockets: Socket | Socket[], recovery_options?: RecoveryOptions)
+  constructor(sockets: Socket | Socket[], recovery_options?: RecoveryOptions, options?: TransportOptions)
+
+  getStats(): TransportStats;
+
+  failover(reason?: string, onswitch?: (switched: boolean) => void): void;
+
+  getSocketsStatus(): SocketStatus[];
+
+  enqueue(data: any, onflush: (sent: boolean) => void, ontimeout: () => void): boolean;
 }
@@ -1,6 +1,8 @@
 const Logger = require('./Logger');
 const Socket = require('./Socket');
 const JsSIP_C = require('./Constants');
+const Utils = require('./Utils');
+const Timers = require('./Timers');
 
 const logger = new Logger('Transport');
 
@@ -17,12 +19,49 @@ const C = {
   SOCKET_STATUS_READY : 0,
   SOCKET_STATUS_ERROR : 1,
 
+  // Disconnection causes.
+  DISCONNECT_TIMEOUT : 'timeout',
+  DISCONNECT_REFUSED : 'refused',
+  DISCONNECT_TLS     : 'tls_error',
+  DISCONNECT_CLOSED  : 'closed',
+  DISCONNECT_ERROR   : 'error',
+
+  // Socket selection strategies.
+  SOCKET_SELECTION_RANDOM      : 'random',
+  SOCKET_SELECTION_PRIORITY    : 'priority',
+  SOCKET_SELECTION_ROUND_ROBIN : 'round_robin',
+  SOCKET_SELECTION_STICKY      : 'sticky',
+
   // Recovery options.
   recovery_options : {
     // minimum interval in seconds between recover attempts.
     min_interval : JsSIP_C.CONNECTION_RECOVERY_MIN_INTERVAL,
     // maximum interval in seconds between recover attempts.
     max_interval : JsSIP_C.CONNECTION_RECOVERY_MAX_INTERVAL
+  },
+
+  // Other options.
+  options : {
+    // interval in seconds between RFC 5626 CRLF keep-alives (disabled if falsy).
+    keep_alive_interval : null,
+    // time in seconds to wait for a CRLF keep-alive response.
+    keep_alive_timeout  : JsSIP_C.CONNECTION_KEEP_ALIVE_TIMEOUT,
+    // optional function(attempts) returning the seconds to wait before the
+    // next recovery attempt. Overrides recovery_options if given.
+    recovery_delay      : null,
+    // socket selection strategy name, or function(candidates, current)
+    // returning one of the given candidate JsSIP.Socket instances.
+    socket_selection    : 'random',
+    // seconds a failed socket is not selected again (until all sockets have failed if falsy).
+    socket_cooldown     : null,
+    // keep a secondary socket connected for immediate failover.
+    hot_standby         : false,
+    // time in seconds to wait for a socket to connect (disabled if falsy).
+    connect_timeout     : null,
+    // maximum number of messages held while reconnecting (disabled if falsy).
+    queue_size          : 0,
+    // time in seconds a message is held while reconnecting.
+    queue_timeout       : JsSIP_C.CONNECTION_QUEUE_TIMEOUT
   }
 };
 
@@ -34,7 +73,13 @@ const C = {
  */
 module.exports = class Transport
 {
-  constructor(sockets, recovery_options = C.recovery_options)
+  // Expose C object.
+  static get C()
+  {
+    return C;
+  }
+
+  constructor(sockets, recovery_options = C.recovery_options, options = {})
   {
     logger.debug('new()');
 
@@ -43,6 +88,20 @@ module.exports = class Transport
     // Current socket.
     this.socket = null;
 
+    // Last socket that successfully connected.
+    this.last_good_socket = null;
+
+    // Hot-standby socket and its status.
+    this.standby_socket = null;
+    this.standby_connected = false;
+    this.standby_timer = null;
+
+    // Callbacks waiting for a failover to the next socket, null if none.
+    this.failover_callbacks = null;
+
+    // Former sockets kept connected for the transactions still running on them.
+    this.draining_sockets = [];
+
     // Socket collection.
     this.sockets = [];
 
@@ -52,6 +111,18 @@ module.exports = class Transport
 
     this.close_requested = false;
 
+    this.options = Object.assign({}, C.options, options);
+
+    // Messages waiting for the transport to reconnect.
+    this.queue = [];
+
+    // Socket connection timer.
+    this.connect_timer = null;
+
+    // RFC 5626 CRLF keep-alive timers.
+    this.keep_alive_timer = null;
+    this.keep_alive_timeout_timer = null;
+
     // It seems that TextDecoder is not available in some versions of React-Native.
     // See https://github.com/versatica/JsSIP/issues/695
     try
@@ -89,9 +160,25 @@ module.exports = class Transport
       }
 
       this.sockets.push({
-        socket : socket.socket,
-        weight : socket.weight || 0,
-        status : C.SOCKET_STATUS_READY
+        socket         : socket.socket,
+        weight         : socket.weight || 0,
+        status         : C.SOCKET_STATUS_READY,
+        failures       : 0,
+        failure_causes : {},
+        cooldown_until : null,
+        stats          : {
+          messages_sent      : 0,
+          bytes_sent         : 0,
+          messages_received  : 0,
+          bytes_received     : 0,
+          connect_attempts   : 0,
+          reconnect_attempts : 0,
+          time_connected     : 0,
+          connected_at       : null,
+          last_error_code    : null,
+          last_error_reason  : null,
+          last_error_cause   : null
+        }
       });
     }, this);
 
@@ -141,11 +228,15 @@ module.exports = class Transport
 
     if (!this.close_requested)
     {
+      this._stopDraining(this.socket);
+
       // Bind socket event callbacks.
       this.socket.onconnect = this._onConnect.bind(this);
       this.socket.ondisconnect = this._onDisconnect.bind(this);
       this.socket.ondata = this._onData.bind(this);
 
+      this._countConnectAttempt(this.socket);
+      this._startConnectTimer();
       this.socket.connect();
     }
 
@@ -160,6 +251,9 @@ module.exports = class Transport
     this.recover_attempts = 0;
     this.status = C.STATUS_DISCONNECTED;
 
+    this._stopKeepAlive();
+    this._stopConnectTimer();
+
     // Clear recovery_timer.
     if (this.recovery_timer !== null)
     {
@@ -167,16 +261,28 @@ module.exports = class Transport
       this.recovery_timer = null;
     }
 
+    this._cancelFailover();
+    this._stopStandby();
+
+    for (const { socket } of this.draining_sockets.slice())
+    {
+      this._stopDraining(socket);
+    }
+
     // Unbind socket event callbacks.
     this.socket.onconnect = () => {};
     this.socket.ondisconnect = () => {};
     this.socket.ondata = () => {};
 
     this.socket.disconnect();
+    this._setSocketConnected(this.socket, false);
     this.ondisconnect({
       socket : this.socket,
       error  : false
     });
+
+    // Queued messages cannot be sent anymore.
+    this._flushQueue();
   }
 
   send(data)
@@ -190,11 +296,110 @@ module.exports = class Transport
       return false;
     }
 
+    // Let the owner inspect, modify or drop the message. A dropped message is
+    // silently discarded, it is not a transport error.
+    if (this.onsend && !this.onsend({ transport: this, message: data }))
+    {
+      logger.debug('message dropped');
+
+      return true;
+    }
+
     const message = data.toString();
 
     logger.debug(`sending message:\n\n${message}\n`);
 
-    return this.socket.send(message);
+    if (!this.socket.send(message))
+    {
+      return false;
+    }
+
+    const stats = this._getSocketEntry(this.socket).stats;
+
+    stats.messages_sent += 1;
+    stats.bytes_sent += Utils.str_utf8_length(message);
+
+    return true;
+  }
+
+  /**
+   * Move later traffic to the next socket because the current one is
+   * connected but the server behind it is not working (ie: 503 or transaction
+   * timeout as per RFC 3263 4.3).
+   * The current socket keeps being used until the next one gets connected,
+   * and stays connected a while for the transactions still running on it.
+   *
+   * -param {String} reason
+   * -param {Function} [onswitch] called with true once later traffic goes
+   *   through the next socket, or with false if it cannot.
+   */
+  failover(reason, onswitch = () => {})
+  {
+    logger.debug(`failover() [reason:${reason}]`);
+
+    if (!this.isConnected() || this.sockets.length < 2)
+    {
+      onswitch(false);
+
+      return;
+    }
+
+    if (this.failover_callbacks === null)
+    {
+      this.failover_callbacks = [];
+      this._setSocketFailed(this.socket, undefined, reason);
+    }
+
+    this.failover_callbacks.push(onswitch);
+
+    // Connect the next socket, unless the hot-standby one already is.
+    if (!this.standby_socket)
+    {
+      this._startStandby();
+    }
+    else if (this.standby_connected)
+    {
+      this._failoverToStandby();
+    }
+  }
+
+  /**
+   * Hold a message until the transport gets connected again.
+   * Returns false if the message cannot be queued, ie: no connection or
+   * reconnection is pending.
+   *
+   * -param {Object} data message to send.
+   * -param {Function} onflush called with the send() result once connected,
+   *   or with false if the transport is closed.
+   * -param {Function} ontimeout called if not connected in time.
+   */
+  enqueue(data, onflush, ontimeout)
+  {
+    if (this.close_requested || this.queue.length >= (this.options.queue_size || 0))
+    {
+      return false;
+    }
+
+    if (!this.isConnecting() && this.recovery_timer === null)
+    {
+      return false;
+    }
+
+    logger.debug('queueing message until the transport is connected');
+
+    const entry = { data, onflush };
+
+    entry.timer = setTimeout(() =>
+    {
+      logger.debug('queued message timed out');
+
+      this.queue.splice(this.queue.indexOf(entry), 1);
+      ontimeout();
+    }, this.options.queue_timeout * 1000);
+
+    this.queue.push(entry);
+
+    return true;
   }
 
   isConnected()
@@ -207,6 +412,60 @@ module.exports = class Transport
     return this.status === C.STATUS_CONNECTING;
   }
 
+  /**
+   * Get the traffic and connection statistics of every socket.
+   */
+  getStats()
+  {
+    const now = Date.now();
+
+    return {
+      status           : this.status,
+      url              : this.socket.url,
+      recover_attempts : this.recover_attempts,
+      sockets          : this.sockets.map((socket) =>
+      {
+        const stats = socket.stats;
+        // Milliseconds, including the ongoing connection.
+        const time_connected = stats.time_connected +
+          (stats.connected_at !== null ? now - stats.connected_at : 0);
+
+        return {
+          url                : socket.socket.url,
+          active             : socket.socket === this.socket,
+          messages_sent      : stats.messages_sent,
+          bytes_sent         : stats.bytes_sent,
+          messages_received  : stats.messages_received,
+          bytes_received     : stats.bytes_received,
+          connect_attempts   : stats.connect_attempts,
+          reconnect_attempts : stats.reconnect_attempts,
+          time_connected,
+          last_error_code    : stats.last_error_code,
+          last_error_reason  : stats.last_error_reason,
+          last_error_cause   : stats.last_error_cause
+        };
+      })
+    };
+  }
+
+  /**
+   * Get the status of every socket.
+   */
+  getSocketsStatus()
+  {
+    return this.sockets.map((socket) => ({
+      socket         : socket.socket,
+      url            : socket.socket.url,
+      weight         : socket.weight,
+      active         : socket.socket === this.socket,
+      standby        : socket.socket === this.standby_socket,
+      available      : this._isSocketAvailable(socket),
+      failures       : socket.failures,
+      failure_causes : Object.assign({}, socket.failure_causes),
+      cooldown_until : socket.cooldown_until
+    }));
+  }
+
   /**
    * Private API.
    */
@@ -215,16 +474,25 @@ module.exports = class Transport
   {
     this.recover_attempts+=1;
 
-    let k = Math.floor((Math.random() * Math.pow(2, this.recover_attempts)) +1);
+    let k;
 
-    if (k < this.recovery_options.min_interval)
+    if (this.options.recovery_delay)
     {
-      k = this.recovery_options.min_interval;
+      k = this.options.recovery_delay(this.recover_attempts);
     }
-
-    else if (k > this.recovery_options.max_interval)
+    else
     {
-      k = this.recovery_options.max_interval;
+      k = Math.floor((Math.random() * Math.pow(2, this.recover_attempts)) +1);
+
+      if (k < this.recovery_options.min_interval)
+      {
+        k = this.recovery_options.min_interval;
+      }
+
+      else if (k > this.recovery_options.max_interval)
+      {
+        k = this.recovery_options.max_interval;
+      }
     }
 
     logger.debug(`reconnection attempt: ${this.recover_attempts}. next connection attempt in ${k} seconds`);
@@ -233,8 +501,24 @@ module.exports = class Transport
     {
       if (!this.close_requested && !(this.isConnected() || this.isConnecting()))
       {
+        // Prefer the hot-standby socket if it got connected meanwhile.
+        if (this._promoteStandby())
+        {
+          return;
+        }
+
+        // Keep waiting for the hot-standby socket if it is still connecting.
+        if (this.standby_socket)
+        {
+          this._switchSocket(this.standby_socket);
+          this.standby_socket = null;
+        }
+
         // Get the next available socket with higher weight.
-        this._getSocket();
+        else
+        {
+          this._getSocket();
+        }
 
         // Connect the socket.
         this.connect();
@@ -243,39 +527,119 @@ module.exports = class Transport
   }
 
   /**
-   * get the next available socket with higher weight
+   * Schedule the next RFC 5626 CRLF keep-alive, if enabled.
    */
-  _getSocket()
+  _startKeepAlive()
   {
+    this._stopKeepAlive();
 
-    let candidates = [];
+    if (!this.options.keep_alive_interval)
+    {
+      return;
+    }
 
-    this.sockets.forEach((socket) =>
+    // CRLF keep-alives are defined for connection-oriented transports only.
+    if (this.via_transport === 'UDP')
     {
-      if (socket.status === C.SOCKET_STATUS_ERROR)
-      {
-        return; // continue the array iteration
-      }
-      else if (candidates.length === 0)
-      {
-        candidates.push(socket);
-      }
-      else if (socket.weight > candidates[0].weight)
-      {
-        candidates = [ socket ];
-      }
-      else if (socket.weight === candidates[0].weight)
-      {
-        candidates.push(socket);
-      }
-    });
+      logger.debug('CRLF keep-alive not supported over UDP');
+
+      return;
+    }
+
+    // RFC 5626 4.4.1. Use a random value between 80% and 100% of the interval.
+    const interval =
+      this.options.keep_alive_interval * 1000 * (0.8 + (Math.random() * 0.2));
+
+    this.keep_alive_timer = setTimeout(() =>
+    {
+      this.keep_alive_timer = null;
+      this._sendKeepAlive();
+    }, interval);
+  }
+
+  _stopKeepAlive()
+  {
+    clearTimeout(this.keep_alive_timer);
+    clearTimeout(this.keep_alive_timeout_timer);
+    this.keep_alive_timer = null;
+    this.keep_alive_timeout_timer = null;
+  }
+
+  /**
+   * Send a CRLF keep-alive "ping" and wait for the "pong".
+   */
+  _sendKeepAlive()
+  {
+    logger.debug('sending CRLF keep-alive');
+
+    if (!this.socket.send('\r\n\r\n'))
+    {
+      logger.warn('CRLF keep-alive could not be sent');
+
+      this._onDeadFlow('CRLF keep-alive send failure', C.DISCONNECT_ERROR);
+
+      return;
+    }
+
+    this.keep_alive_timeout_timer = setTimeout(() =>
+    {
+      this.keep_alive_timeout_timer = null;
+
+      logger.warn('no CRLF keep-alive response received');
+
+      this._onDeadFlow('CRLF keep-alive timeout', C.DISCONNECT_TIMEOUT);
+    }, this.options.keep_alive_timeout * 1000);
+  }
+
+  /**
+   * The CRLF keep-alive failed. Consider the flow dead, close it and
+   * recover as if the socket was disconnected.
+   */
+  _onDeadFlow(reason, cause)
+  {
+    logger.warn(`socket ${this.socket.url} is dead`);
 
-    if (candidates.length === 0)
+    if (this.ondead)
+    {
+      this.ondead({ socket: this.socket });
+    }
+
+    // Unbind socket event callbacks.
+    this.socket.onconnect = () => {};
+    this.socket.ondisconnect = () => {};
+    this.socket.ondata = () => {};
+
+    this.socket.disconnect();
+    this._onDisconnect(true, undefined, reason, cause);
+  }
+
+  /**
+   * Whether the given socket can be selected.
+   */
+  _isSocketAvailable(socket)
+  {
+    if (socket.status !== C.SOCKET_STATUS_ERROR)
+    {
+      return true;
+    }
+
+    return socket.cooldown_until !== null && Date.now() >= socket.cooldown_until;
+  }
+
+  /**
+   * get the next available socket according to the selection strategy
+   */
+  _getSocket()
+  {
+    const available = this.sockets.filter((socket) => this._isSocketAvailable(socket));
+
+    if (available.length === 0)
     {
       // All sockets have failed. reset sockets status.
       this.sockets.forEach((socket) =>
       {
         socket.status = C.SOCKET_STATUS_READY;
+        socket.cooldown_until = null;
       });
 
       // Get next available socket.
@@ -284,9 +648,390 @@ module.exports = class Transport
       return;
     }
 
-    const idx = Math.floor((Math.random()* candidates.length));
+    this._switchSocket(this._selectSocket(available).socket);
+  }
+
+  /**
+   * Make the given socket the current one, notifying the change.
+   */
+  _switchSocket(socket)
+  {
+    const previous = this.socket;
+
+    this.socket = socket;
+
+    // The initial selection is not a switch.
+    if (previous && previous !== socket && this.onsocketswitch)
+    {
+      this.onsocketswitch({ previous, socket });
+    }
+  }
+
+  _getSocketEntry(socket)
+  {
+    return this.sockets.find((entry) => entry.socket === socket);
+  }
+
+  _countConnectAttempt(socket)
+  {
+    const stats = this._getSocketEntry(socket).stats;
+
+    stats.connect_attempts += 1;
+
+    if (this.recover_attempts > 0)
+    {
+      stats.reconnect_attempts += 1;
+    }
+  }
+
+  /**
+   * Keep track of the time the given socket is connected.
+   */
+  _setSocketConnected(socket, connected)
+  {
+    const stats = this._getSocketEntry(socket).stats;
+
+    if (connected && stats.connected_at === null)
+    {
+      stats.connected_at = Date.now();
+    }
+    else if (!connected && stats.connected_at !== null)
+    {
+      stats.time_connected += Date.now() - stats.connected_at;
+      stats.connected_at = null;
+    }
+  }
+
+  /**
+   * Select one of the given socket entries according to the selection strategy.
+   */
+  _selectSocket(available)
+  {
+    const selection = this.options.socket_selection;
+    let selected;
+
+    if (typeof selection === 'function')
+    {
+      selected = this._selectSocketWithFunction(selection, available);
+    }
+    else
+    {
+      // Sockets with higher weight, in list order.
+      const max_weight = Math.max(...available.map((socket) => socket.weight));
+      const candidates = available.filter((socket) => socket.weight === max_weight);
+
+      switch (selection)
+      {
+        case C.SOCKET_SELECTION_PRIORITY:
+        {
+          selected = candidates[0];
+          break;
+        }
+
+        case C.SOCKET_SELECTION_ROUND_ROBIN:
+        {
+          // Next candidate after the current socket in list order.
+          const current_idx = this.sockets.findIndex(
+            (socket) => socket.socket === this.socket);
+
+          selected = candidates.find(
+            (socket) => this.sockets.indexOf(socket) > current_idx) || candidates[0];
+          break;
+        }
+
+        case C.SOCKET_SELECTION_STICKY:
+        {
+          selected = available.find(
+            (socket) => socket.socket === this.last_good_socket) || candidates[0];
+          break;
+        }
+
+        default:
+        {
+          selected = candidates[Math.floor(Math.random() * candidates.length)];
+        }
+      }
+    }
 
-    this.socket = candidates[idx].socket;
+    return selected;
+  }
+
+  /**
+   * Connect a secondary socket to be used if the current one fails.
+   */
+  _startStandby()
+  {
+    if ((!this.options.hot_standby && this.failover_callbacks === null) ||
+        this.close_requested || this.standby_socket)
+    {
+      return;
+    }
+
+    const others = this.sockets.filter((socket) => socket.socket !== this.socket);
+
+    if (others.length === 0)
+    {
+      logger.debug('no socket available for hot-standby');
+
+      return;
+    }
+
+    const available = others.filter((socket) => this._isSocketAvailable(socket));
+    const standby = this._selectSocket(available.length > 0 ? available : others).socket;
+
+    logger.debug(`connecting hot-standby socket ${standby.url}`);
+
+    this._stopDraining(standby);
+
+    this.standby_socket = standby;
+    this.standby_connected = false;
+
+    standby.onconnect = this._onStandbyConnect.bind(this, standby);
+    standby.ondisconnect = this._onStandbyDisconnect.bind(this, standby);
+    standby.ondata = () => {};
+
+    this._countConnectAttempt(standby);
+    standby.connect();
+  }
+
+  _stopStandby()
+  {
+    clearTimeout(this.standby_timer);
+    this.standby_timer = null;
+
+    if (!this.standby_socket)
+    {
+      return;
+    }
+
+    const standby = this.standby_socket;
+
+    this.standby_socket = null;
+    this.standby_connected = false;
+
+    standby.onconnect = () => {};
+    standby.ondisconnect = () => {};
+    standby.ondata = () => {};
+
+    standby.disconnect();
+    this._setSocketConnected(standby, false);
+  }
+
+  /**
+   * Make the connected hot-standby socket the current one.
+   * Returns true if the swap took place.
+   */
+  _promoteStandby()
+  {
+    if (!this.standby_socket || !this.standby_connected)
+    {
+      return false;
+    }
+
+    logger.debug(`switching to hot-standby socket ${this.standby_socket.url}`);
+
+    this._switchSocket(this.standby_socket);
+    this.standby_socket = null;
+    this.standby_connected = false;
+
+    if (this.recovery_timer !== null)
+    {
+      clearTimeout(this.recovery_timer);
+      this.recovery_timer = null;
+    }
+
+    // Bind socket event callbacks.
+    this.socket.onconnect = this._onConnect.bind(this);
+    this.socket.ondisconnect = this._onDisconnect.bind(this);
+    this.socket.ondata = this._onData.bind(this);
+
+    this._onConnect();
+
+    return true;
+  }
+
+  _onStandbyConnect(standby)
+  {
+    if (standby !== this.standby_socket)
+    {
+      return;
+    }
+
+    logger.debug(`hot-standby socket ${standby.url} connected`);
+
+    this.standby_connected = true;
+    this._setSocketConnected(standby, true);
+
+    // The current socket failed while the standby one was connecting.
+    if (!this.close_requested && !(this.isConnected() || this.isConnecting()))
+    {
+      this._promoteStandby();
+    }
+    else if (this.failover_callbacks !== null)
+    {
+      this._failoverToStandby();
+    }
+  }
+
+  _onStandbyDisconnect(standby, error, code, reason)
+  {
+    if (standby !== this.standby_socket)
+    {
+      return;
+    }
+
+    logger.debug(`hot-standby socket ${standby.url} disconnected`);
+
+    this._setSocketConnected(standby, false);
+    this._setSocketFailed(standby, code, reason,
+      getDisconnectCause(error, code, !this.standby_connected));
+
+    this.standby_socket = null;
+    this.standby_connected = false;
+
+    // No socket to fail over to, keep using the current one.
+    this._cancelFailover();
+
+    // Retry later with a different socket if possible.
+    this.standby_timer = setTimeout(() =>
+    {
+      this.standby_timer = null;
+
+      if (this.isConnected())
+      {
+        this._startStandby();
+      }
+    }, this.recovery_options.min_interval * 1000);
+  }
+
+  /**
+   * Make the connected hot-standby socket the current one after a failover,
+   * draining the previous one.
+   */
+  _failoverToStandby()
+  {
+    const previous = this.socket;
+    const callbacks = this.failover_callbacks;
+
+    this.failover_callbacks = null;
+
+    this._drainSocket(previous);
+    this._promoteStandby();
+
+    for (const onswitch of callbacks)
+    {
+      onswitch(true);
+    }
+  }
+
+  /**
+   * Give up the pending failover, if any.
+   */
+  _cancelFailover()
+  {
+    const callbacks = this.failover_callbacks;
+
+    if (callbacks === null)
+    {
+      return;
+    }
+
+    this.failover_callbacks = null;
+
+    for (const onswitch of callbacks)
+    {
+      onswitch(false);
+    }
+  }
+
+  /**
+   * Keep the given former socket connected during the longest transaction
+   * timeout, so the transactions still running on it get their responses.
+   */
+  _drainSocket(socket)
+  {
+    logger.debug(`draining socket ${socket.url}`);
+
+    socket.onconnect = () => {};
+    socket.ondisconnect = () => { this._stopDraining(socket); };
+    socket.ondata = (data) => { this._onData(data, socket); };
+
+    const timer = setTimeout(() =>
+    {
+      this._stopDraining(socket);
+    }, Math.max(Timers.TIMER_B, Timers.TIMER_F));
+
+    this.draining_sockets.push({ socket, timer });
+  }
+
+  /**
+   * Close the given socket if being drained.
+   */
+  _stopDraining(socket)
+  {
+    const idx = this.draining_sockets.findIndex((entry) => entry.socket === socket);
+
+    if (idx === -1)
+    {
+      return;
+    }
+
+    clearTimeout(this.draining_sockets[idx].timer);
+    this.draining_sockets.splice(idx, 1);
+
+    socket.onconnect = () => {};
+    socket.ondisconnect = () => {};
+    socket.ondata = () => {};
+
+    socket.disconnect();
+    this._setSocketConnected(socket, false);
+  }
+
+  /**
+   * Update the status of the given socket after a connection failure.
+   */
+  _setSocketFailed(failed, code, reason, cause = C.DISCONNECT_ERROR)
+  {
+    const socket = this._getSocketEntry(failed);
+
+    socket.stats.last_error_code = code !== undefined ? code : null;
+    socket.stats.last_error_reason = reason !== undefined ? reason : null;
+    socket.stats.last_error_cause = cause;
+    socket.failure_causes[cause] = (socket.failure_causes[cause] || 0) + 1;
+    socket.status = C.SOCKET_STATUS_ERROR;
+    socket.failures += 1;
+    socket.cooldown_until = this.options.socket_cooldown ?
+      Date.now() + (this.options.socket_cooldown * 1000) : null;
+  }
+
+  /**
+   * Let the user supplied function choose among the available sockets.
+   */
+  _selectSocketWithFunction(selection, available)
+  {
+    let socket;
+
+    try
+    {
+      socket = selection(
+        available.map((candidate) => candidate.socket), this.socket);
+    }
+    catch (error)
+    {
+      logger.warn(`socket selection function failed: ${error}`);
+    }
+
+    const selected = available.find((candidate) => candidate.socket === socket);
+
+    if (!selected)
+    {
+      logger.warn(
+        'socket selection function did not return an available socket, using the first one');
+
+      return available[0];
+    }
+
+    return selected;
   }
 
   /**
@@ -295,8 +1040,11 @@ module.exports = class Transport
 
   _onConnect()
   {
+    this._stopConnectTimer();
     this.recover_attempts = 0;
     this.status = C.STATUS_CONNECTED;
+    this.last_good_socket = this.socket;
+    this._setSocketConnected(this.socket, true);
 
     // Clear recovery_timer.
     if (this.recovery_timer !== null)
@@ -305,17 +1053,83 @@ module.exports = class Transport
       this.recovery_timer = null;
     }
 
+    this._startKeepAlive();
+
     this.onconnect({ socket: this });
+
+    this._flushQueue();
+
+    this._startStandby();
+  }
+
+  /**
+   * Send the queued messages, failing them if the transport is not connected.
+   */
+  _flushQueue()
+  {
+    const queue = this.queue;
+
+    this.queue = [];
+
+    for (const entry of queue)
+    {
+      clearTimeout(entry.timer);
+      entry.onflush(this.send(entry.data));
+    }
+  }
+
+  /**
+   * Start the timer that fails the current socket if it does not connect in time.
+   */
+  _startConnectTimer()
+  {
+    this._stopConnectTimer();
+
+    if (!this.options.connect_timeout)
+    {
+      return;
+    }
+
+    this.connect_timer = setTimeout(() =>
+    {
+      this.connect_timer = null;
+
+      logger.warn(`socket ${this.socket.url} connection timeout`);
+
+      // Unbind socket event callbacks.
+      this.socket.onconnect = () => {};
+      this.socket.ondisconnect = () => {};
+      this.socket.ondata = () => {};
+
+      this.socket.disconnect();
+      this._onDisconnect(true, undefined, 'connection timeout', C.DISCONNECT_TIMEOUT);
+    }, this.options.connect_timeout * 1000);
   }
 
-  _onDisconnect(error, code, reason)
+  _stopConnectTimer()
   {
+    clearTimeout(this.connect_timer);
+    this.connect_timer = null;
+  }
+
+  _onDisconnect(error, code, reason, cause)
+  {
+    if (!cause)
+    {
+      cause = getDisconnectCause(error, code, this.isConnecting());
+    }
+
     this.status = C.STATUS_DISCONNECTED;
+    this._setSocketConnected(this.socket, false);
+    this._stopKeepAlive();
+    this._stopConnectTimer();
+    this._cancelFailover();
     this.ondisconnect({
       socket : this.socket,
       error,
       code,
-      reason
+      reason,
+      cause
     });
 
     if (this.close_requested)
@@ -326,24 +1140,24 @@ module.exports = class Transport
     // Update socket status.
     else
     {
-      this.sockets.forEach(function(socket)
-      {
-        if (this.socket === socket.socket)
-        {
-          socket.status = C.SOCKET_STATUS_ERROR;
-        }
-      }, this);
+      this._setSocketFailed(this.socket, code, reason, cause);
+    }
+
+    // Fail over to the hot-standby socket without waiting for recovery.
+    if (this._promoteStandby())
+    {
+      return;
     }
 
     this._reconnect(error);
   }
 
-  _onData(data)
+  _onData(data, socket = this.socket)
   {
-    // CRLF Keep Alive response from server. Ignore it.
+    // CRLF Keep Alive response from server.
     if (data === '\r\n')
     {
-      logger.debug('received message with CRLF Keep Alive response');
+      this._onKeepAliveResponse(socket);
 
       return;
     }
@@ -366,6 +1180,13 @@ module.exports = class Transport
         return;
       }
 
+      if (data === '\r\n')
+      {
+        this._onKeepAliveResponse(socket);
+
+        return;
+      }
+
       logger.debug(`received binary message:\n\n${data}\n`);
     }
 
@@ -375,6 +1196,83 @@ module.exports = class Transport
       logger.debug(`received text message:\n\n${data}\n`);
     }
 
+    const stats = this._getSocketEntry(socket).stats;
+
+    stats.messages_received += 1;
+    stats.bytes_received += Utils.str_utf8_length(data);
+
     this.ondata({ transport: this, message: data });
   }
+
+  _onKeepAliveResponse(socket)
+  {
+    logger.debug('received message with CRLF Keep Alive response');
+
+    // Only the pong of the current flow matters, not the one of a socket being
+    // drained.
+    if (socket !== this.socket)
+    {
+      return;
+    }
+
+    if (this.keep_alive_timeout_timer !== null)
+    {
+      this._startKeepAlive();
+    }
+  }
 };
+
+/**
+ * Classify a socket disconnection.
+ *
+ * -param {Boolean} error whether the disconnection was abnormal
+ * -param {String|Number} [code] socket error code or WebSocket close code
+ * -param {Boolean} connecting whether the socket was connecting
+ */
+function getDisconnectCause(error, code, connecting)
+{
+  if (typeof code === 'string')
+  {
+    if (code === 'ECONNREFUSED' || code === 'EHOSTUNREACH' || code === 'ENETUNREACH' ||
+        code === 'ENOTFOUND')
+    {
+      return C.DISCONNECT_REFUSED;
+    }
+    else if (code === 'ETIMEDOUT')
+    {
+      return C.DISCONNECT_TIMEOUT;
+    }
+    else if (/^(ERR_TLS_|ERR_SSL_|CERT_|UNABLE_TO_|DEPTH_ZERO_|SELF_SIGNED_)/.test(code))
+    {
+      return C.DISCONNECT_TLS;
+    }
+
+    return C.DISCONNECT_ERROR;
+  }
+
+  // WebSocket close codes.
+  if (typeof code === 'number')
+  {
+    // TLS handshake failure.
+    if (code === 1015)
+    {
+      return C.DISCONNECT_TLS;
+    }
+    // Abnormal closure before the handshake completed.
+    else if (code === 1006 && connecting)
+    {
+      return C.DISCONNECT_REFUSED;
+    }
+    else if (code !== 1006)
+    {
+      return C.DISCONNECT_CLOSED;
+    }
+  }
+
+  if (connecting && error)
+  {
+    return C.DISCONNECT_REFUSED;
+  }
+
+  return error ? C.DISCONNECT_ERROR : C.DISCONNECT_CLOSED;
+}
@@ -2,10 +2,12 @@
 import {EventEmitter} from 'events'
 
 import {DisconnectEvent, Socket, WeightedSocket} from './WebSocketInterface'
+import {SocketSelection, Transport, TransportStats} from './Transport'
 import {AnswerOptions, AnyListener, Originator, RTCSession, RTCSessionEventMap, TerminateOptions} from './RTCSession'
 import {IncomingRequest, IncomingResponse, OutgoingRequest} from './SIPMessage'
 import {Message, SendMessageOptions} from './Message'
-import {Registrator} from './Registrator'
+import {Registrator, RegistrationState} from './Registrator'
+import {Account, AccountConfiguration} from './Account'
 import {URI} from './URI'
 import {causes} from './Constants'
 
@@ -18,30 +20,75 @@ export interface CallOptions extends AnswerOptions {
   anonymous?: boolean;
   fromUserName?: string;
   fromDisplayName?: string;
+  account?: Account | string;
 }
 
+export interface ProvidedCredentials {
+  authorization_user?: string;
+  password?: string;
+  ha1?: string | Record<string, string>;
+}
+
+export type CredentialsProvider = (realm: string, challenge: any, request: OutgoingRequest) =>
+  Promise<ProvidedCredentials | null>;
+
+export interface BearerChallenge {
+  scheme: 'Bearer';
+  realm?: string;
+  scope?: string;
+  authz_server?: string;
+  error?: string;
+}
+
+export interface AccessToken {
+  access_token: string;
+  expires_in?: number;
+}
+
+export type TokenProvider = (challenge: BearerChallenge, request: OutgoingRequest | null) =>
+  Promise<AccessToken | string | null>;
+
 export interface UAConfiguration {
   // mandatory parameters
   sockets: Socket | Socket[] | WeightedSocket[] ;
   uri: string;
   // optional parameters
+  accounts?: AccountConfiguration[];
   authorization_jwt?: string;
   authorization_user?: string;
   connection_recovery_max_interval?: number;
   connection_recovery_min_interval?: number;
+  connection_keep_alive_interval?: number;
+  connection_keep_alive_timeout?: number;
+  connection_timeout?: number;
+  connection_hot_standby?: boolean;
+  connection_queue_size?: number;
+  connection_queue_timeout?: number;
+  connection_failover_on_error?: boolean;
+  socket_selection?: SocketSelection;
+  socket_cooldown?: number;
   contact_uri?: string;
+  contact_gruu?: 'public' | 'temporary' | 'none';
+  credentials_provider?: CredentialsProvider;
   display_name?: string;
   instance_id?: string;
   no_answer_timeout?: number;
+  outbound_flows?: number;
+  nat_contact_rewrite?: boolean;
+  nat_contact_rewrite_sessions?: boolean;
   session_timers?: boolean;
   session_timers_refresh_method?: string;
   session_timers_force_refresher?: boolean;
+  token_provider?: TokenProvider;
   password?: string;
   realm?: string;
-  ha1?: string;
+  ha1?: string | Record<string, string>;
   register?: boolean;
   register_expires?: number;
   registrar_server?: string;
+  register_retry?: boolean;
+  register_retry_min_interval?: number;
+  register_retry_max_interval?: number;
   use_preloaded_route?: boolean;
   user_agent?: string;
 }
@@ -69,8 +116,19 @@ export interface ConnectedEvent {
   socket: Socket;
 }
 
+export interface TransportDeadEvent {
+  socket: Socket;
+}
+
+export interface SocketSwitchEvent {
+  transport: Transport;
+  previous: Socket;
+  socket: Socket;
+}
+
 export interface RegisteredEvent {
   response: IncomingResponse;
+  state: RegistrationState;
 }
 
 export interface UnRegisteredEvent {
@@ -78,6 +136,14 @@ export interface UnRegisteredEvent {
   cause?: causes;
 }
 
+export interface RegistrationRetryEvent {
+  attempts: number;
+  delay: number;
+  retry_at: Date;
+  response: IncomingResponse | null;
+  cause?: causes;
+}
+
 export interface IncomingMessageEvent {
   originator: Originator.REMOTE;
   message: Message;
@@ -93,9 +159,12 @@ export interface OutgoingMessageEvent {
 export type UAConnectingListener = (event: UAConnectingEvent) => void;
 export type ConnectedListener = (event: ConnectedEvent) => void;
 export type DisconnectedListener = (event: DisconnectEvent) => void;
+export type TransportDeadListener = (event: TransportDeadEvent) => void;
+export type SocketSwitchListener = (event: SocketSwitchEvent) => void;
 export type RegisteredListener = (event: RegisteredEvent) => void;
 export type UnRegisteredListener = (event: UnRegisteredEvent) => void;
 export type RegistrationFailedListener = UnRegisteredListener;
+export type RegistrationRetryListener = (event: RegistrationRetryEvent) => void;
 export type IncomingRTCSessionListener = (event: IncomingRTCSessionEvent) => void;
 export type OutgoingRTCSessionListener = (event: OutgoingRTCSessionEvent) => void;
 export type RTCSessionListener = IncomingRTCSessionListener | OutgoingRTCSessionListener;
@@ -108,10 +177,15 @@ export interface UAEventMap {
   connecting: UAConnectingListener;
   connected: ConnectedListener;
   disconnected: DisconnectedListener;
+  transportDead: TransportDeadListener;
+  socketSwitch: SocketSwitchListener;
+  // With several outbound flows, emitted when the first flow gets registered.
   registered: RegisteredListener;
+  // With several outbound flows, emitted once no flow remains registered.
   unregistered: UnRegisteredListener;
   registrationFailed: RegistrationFailedListener;
   registrationExpiring: AnyListener;
+  registrationRetry: RegistrationRetryListener;
   newRTCSession: RTCSessionListener;
   newMessage: MessageListener;
   sipEvent: SipEventListener;
@@ -126,6 +200,7 @@ export interface UAContact {
   pub_gruu?: string,
   temp_gruu?: string,
   uri?: string;
+  nat_uri?: URI;
 
   toString(options?: UAContactOptions): string
 }
@@ -141,6 +216,11 @@ declare enum UAStatus {
   NETWORK_ERROR = 2
 }
 
+export interface Interceptor {
+  onSend?(request: OutgoingRequest, transport: Transport): boolean | void;
+  onReceive?(message: IncomingRequest | IncomingResponse, transport: Transport): boolean | void;
+}
+
 export class UA extends EventEmitter {
   static get C(): typeof UAStatus;
 
@@ -162,6 +242,18 @@ export class UA extends EventEmitter {
 
   registrator(): Registrator;
 
+  registrators(): Registrator[];
+
+  accounts(): Account[];
+
+  account(id: string): Account | null;
+
+  getTransportStats(): TransportStats[];
+
+  addInterceptor(interceptor: Interceptor): void;
+
+  removeInterceptor(interceptor: Interceptor): void;
+
   call(target: string, options?: CallOptions): RTCSession;
 
   sendMessage(target: string | URI, body: string, options?: SendMessageOptions): Message;
@@ -2,6 +2,7 @@ const EventEmitter = require('events').EventEmitter;
 const Logger = require('./Logger');
 const JsSIP_C = require('./Constants');
 const Registrator = require('./Registrator');
+const Account = require('./Account');
 const RTCSession = require('./RTCSession');
 const Message = require('./Message');
 const Options = require('./Options');
@@ -51,6 +52,7 @@ module.exports = class UA extends EventEmitter
     super();
 
     this._cache = {
+      // Last accepted Digest challenges per account ('' for the UA) and realm.
       credentials : {}
     };
 
@@ -63,6 +65,8 @@ module.exports = class UA extends EventEmitter
 
     this._sessions = {};
     this._transport = null;
+    // SIP Outbound (RFC 5626) flows. A single one unless 'outbound_flows' > 1.
+    this._transports = [];
     this._contact = null;
     this._status = C.STATUS_INIT;
     this._error = null;
@@ -76,6 +80,9 @@ module.exports = class UA extends EventEmitter
     // Custom UA empty object for high level use.
     this._data = {};
 
+    // Ordered list of SIP message interceptors.
+    this._interceptors = [];
+
     this._closeTimer = null;
 
     // Check configuration argument.
@@ -96,8 +103,21 @@ module.exports = class UA extends EventEmitter
       throw e;
     }
 
-    // Initialize registrator.
-    this._registrator = new Registrator(this);
+    // Initialize registrators, one per flow.
+    this._registrators = this._transports.map(
+      (transport, idx) => new Registrator(this, transport, idx + 1));
+    this._registrator = this._registrators[0];
+
+    // Initialize additional accounts, each one with its own Contact.
+    this._accounts = (this._configuration.accounts || []).map((account) =>
+    {
+      const uri = this._configuration.contact_uri.clone();
+
+      uri.user = Utils.createRandomToken(8);
+
+      return new Account(
+        this, account, createContact(uri, this._configuration.contact_gruu));
+    });
   }
 
   get C()
@@ -122,7 +142,9 @@ module.exports = class UA extends EventEmitter
 
   get transport()
   {
-    return this._transport;
+    // With several flows use the first connected one.
+    return this._transports.find((transport) => transport.isConnected()) ||
+      this._transport;
   }
 
   // =================
@@ -139,7 +161,7 @@ module.exports = class UA extends EventEmitter
 
     if (this._status === C.STATUS_INIT)
     {
-      this._transport.connect();
+      this._transports.forEach((transport) => transport.connect());
     }
     else if (this._status === C.STATUS_USER_CLOSED)
     {
@@ -150,12 +172,12 @@ module.exports = class UA extends EventEmitter
       {
         clearTimeout(this._closeTimer);
         this._closeTimer = null;
-        this._transport.disconnect();
+        this._transports.forEach((transport) => transport.disconnect());
       }
 
       // Reconnect.
       this._status = C.STATUS_INIT;
-      this._transport.connect();
+      this._transports.forEach((transport) => transport.connect());
     }
     else if (this._status === C.STATUS_READY)
     {
@@ -178,7 +200,7 @@ module.exports = class UA extends EventEmitter
     logger.debug('register()');
 
     this._dynConfiguration.register = true;
-    this._registrator.register();
+    this._registrators.forEach((registrator) => registrator.register());
   }
 
   /**
@@ -189,11 +211,11 @@ module.exports = class UA extends EventEmitter
     logger.debug('unregister()');
 
     this._dynConfiguration.register = false;
-    this._registrator.unregister(options);
+    this._registrators.forEach((registrator) => registrator.unregister(options));
   }
 
   /**
-   * Get the Registrator instance.
+   * Get the Registrator instance (the one of the first flow).
    */
   registrator()
   {
@@ -201,19 +223,96 @@ module.exports = class UA extends EventEmitter
   }
 
   /**
-   * Registration state.
+   * Get the Registrator instances, one per flow.
+   */
+  registrators()
+  {
+    return this._registrators.slice();
+  }
+
+  /**
+   * Get the additional accounts.
+   */
+  accounts()
+  {
+    return this._accounts.slice();
+  }
+
+  /**
+   * Get the additional account with the given id.
+   */
+  account(id)
+  {
+    return this._accounts.find((account) => account.id === id) || null;
+  }
+
+  /**
+   * Registration state. Registered if so over any flow.
    */
   isRegistered()
   {
-    return this._registrator.registered;
+    return this._registrators.some((registrator) => registrator.registered);
   }
 
   /**
-   * Connection state.
+   * Connection state. Connected if any flow is.
    */
   isConnected()
   {
-    return this._transport.isConnected();
+    return this._transports.some((transport) => transport.isConnected());
+  }
+
+  /**
+   * Get the transport statistics, one entry per flow.
+   */
+  getTransportStats()
+  {
+    return this._transports.map((transport) => transport.getStats());
+  }
+
+  /**
+   * Add a SIP message interceptor. Interceptors run in the order they are added.
+   *
+   * -param {Object} interceptor
+   *  - onSend(request, transport): called with every OutgoingRequest before
+   *    it is serialized, including retransmissions. Responses sent by the UA
+   *    are not OutgoingRequests and do not go through it.
+   *  - onReceive(message, transport): called with every IncomingMessage right
+   *    after it is parsed.
+   *  Both can modify the message. Returning false silently drops it (a dropped
+   *  request is not a transport error, its transaction goes on as if the
+   *  request was lost) and returning true skips the remaining interceptors.
+   *
+   * -throws {TypeError}
+   *
+   */
+  addInterceptor(interceptor)
+  {
+    logger.debug('addInterceptor()');
+
+    if (!interceptor ||
+        (typeof interceptor.onSend !== 'function' &&
+         typeof interceptor.onReceive !== 'function'))
+    {
+      throw new TypeError('Invalid argument: interceptor');
+    }
+
+    this._interceptors.push(interceptor);
+  }
+
+  /**
+   * Remove a SIP message interceptor.
+   */
+  removeInterceptor(interceptor)
+  {
+    logger.debug('removeInterceptor()');
+
+    const idx = this._interceptors.indexOf(interceptor);
+
+    if (idx !== -1)
+    {
+      this._interceptors.splice(idx, 1);
+    }
   }
 
   /**
@@ -312,8 +411,9 @@ module.exports = class UA extends EventEmitter
       return;
     }
 
-    // Close registrator.
-    this._registrator.close();
+    // Close registrators.
+    this._registrators.forEach((registrator) => registrator.close());
+    this._accounts.forEach((account) => account.close());
 
     // If there are session wait a bit so CANCEL/BYE can be sent and their responses received.
     const num_sessions = Object.keys(this._sessions).length;
@@ -347,14 +447,14 @@ module.exports = class UA extends EventEmitter
 
     if (num_transactions === 0 && num_sessions === 0)
     {
-      this._transport.disconnect();
+      this._transports.forEach((transport) => transport.disconnect());
     }
     else
     {
       this._closeTimer = setTimeout(() =>
       {
         this._closeTimer = null;
-        this._transport.disconnect();
+        this._transports.forEach((transport) => transport.disconnect());
       }, 2000);
     }
   }
@@ -419,7 +519,7 @@ module.exports = class UA extends EventEmitter
       }
 
       case 'ha1': {
-        this._configuration.ha1 = String(value);
+        this._configuration.ha1 = typeof value === 'object' ? Object.assign({}, value) : String(value);
         // Delete the plain SIP password.
         this._configuration.password = null;
         break;
@@ -534,7 +634,11 @@ module.exports = class UA extends EventEmitter
    */
   registered(data)
   {
-    this.emit('registered', data);
+    // Just emit it for the first registered flow.
+    if (this._registrators.filter((registrator) => registrator.registered).length === 1)
+    {
+      this.emit('registered', data);
+    }
   }
 
   /**
@@ -542,7 +646,11 @@ module.exports = class UA extends EventEmitter
    */
   unregistered(data)
   {
-    this.emit('unregistered', data);
+    // Just emit it once no flow remains registered.
+    if (!this.isRegistered())
+    {
+      this.emit('unregistered', data);
+    }
   }
 
   /**
@@ -564,9 +672,13 @@ module.exports = class UA extends EventEmitter
   {
     const method = request.method;
 
-    // Check that request URI points to us.
-    if (request.ruri.user !== this._configuration.uri.user &&
-        request.ruri.user !== this._contact.uri.user)
+    // Check that request URI points to us or to any of our accounts.
+    request.account = this._findAccount(request);
+
+    if (!request.account &&
+        request.ruri.user !== this._configuration.uri.user &&
+        request.ruri.user !== this._contact.uri.user &&
+        !isGruu(this._contact, request.ruri))
     {
       logger.debug('Request-URI does not point to us');
       if (request.method !== JsSIP_C.ACK)
@@ -595,13 +707,13 @@ module.exports = class UA extends EventEmitter
     if (method === JsSIP_C.INVITE)
     {
       /* eslint-disable no-new */
-      new Transactions.InviteServerTransaction(this, this._transport, request);
+      new Transactions.InviteServerTransaction(this, request.transport, request);
       /* eslint-enable no-new */
     }
     else if (method !== JsSIP_C.ACK && method !== JsSIP_C.CANCEL)
     {
       /* eslint-disable no-new */
-      new Transactions.NonInviteServerTransaction(this, this._transport, request);
+      new Transactions.NonInviteServerTransaction(this, request.transport, request);
       /* eslint-enable no-new */
     }
 
@@ -766,6 +878,27 @@ module.exports = class UA extends EventEmitter
   // Utils.
   // =================
 
+  /**
+   * Get the account the given request is addressed to, if any.
+   */
+  _findAccount(request)
+  {
+    if (this._accounts.length === 0)
+    {
+      return null;
+    }
+
+    const user = request.ruri.user;
+
+    return this._accounts.find((account) => account.contact.uri.user === user) ||
+      this._accounts.find((account) => isGruu(account.contact, request.ruri)) ||
+      this._accounts.find((account) => account.uri.user === user &&
+        user !== this._configuration.uri.user) ||
+      this._accounts.find((account) => account.uri.user === request.to.uri.user &&
+        account.uri.host === request.to.uri.host) ||
+      null;
+  }
+
   /**
    * Get the session to which the request belongs to, if any.
    */
@@ -852,20 +985,65 @@ module.exports = class UA extends EventEmitter
     hostport_params.user = null;
     this._configuration.hostport_params = hostport_params.toString().replace(/^sip:/i, '');
 
-    // Transport.
+    // SIP Outbound (RFC 5626) flows.
+    const num_flows = this._configuration.outbound_flows;
+
+    if (num_flows > this._configuration.sockets.length)
+    {
+      throw new Exceptions.ConfigurationError('outbound_flows', num_flows);
+    }
+
+    let keep_alive_interval = this._configuration.connection_keep_alive_interval;
+
+    // RFC 5626 4.4. Flows must be kept alive.
+    if (num_flows > 1 && keep_alive_interval === null)
+    {
+      keep_alive_interval = JsSIP_C.OUTBOUND_KEEP_ALIVE_INTERVAL;
+    }
+
+    // Transports. One per flow, each one using every Nth socket of the list.
     try
     {
-      this._transport = new Transport(this._configuration.sockets, {
-        // Recovery options.
-        max_interval : this._configuration.connection_recovery_max_interval,
-        min_interval : this._configuration.connection_recovery_min_interval
-      });
-
-      // Transport event callbacks.
-      this._transport.onconnecting = onTransportConnecting.bind(this);
-      this._transport.onconnect = onTransportConnect.bind(this);
-      this._transport.ondisconnect = onTransportDisconnect.bind(this);
-      this._transport.ondata = onTransportData.bind(this);
+      for (let idx = 0; idx < num_flows; idx++)
+      {
+        const sockets = this._configuration.sockets
+          .filter((socket, socket_idx) => socket_idx % num_flows === idx);
+
+        const transport = new Transport(sockets, {
+          // Recovery options.
+          max_interval : this._configuration.connection_recovery_max_interval,
+          min_interval : this._configuration.connection_recovery_min_interval
+        }, {
+          // CRLF keep-alive options.
+          keep_alive_interval,
+          keep_alive_timeout : this._configuration.connection_keep_alive_timeout,
+          // RFC 5626 flow recovery.
+          recovery_delay     : num_flows > 1 ? getFlowRecoveryDelay.bind(this) : null,
+          // Socket selection.
+          socket_selection   : this._configuration.socket_selection,
+          socket_cooldown    : this._configuration.socket_cooldown,
+          // Socket connection timeout.
+          connect_timeout    : this._configuration.connection_timeout,
+          // Hot-standby socket.
+          hot_standby        : this._configuration.connection_hot_standby,
+          // Outgoing request queue while reconnecting.
+          queue_size         : this._configuration.connection_queue_size,
+          queue_timeout      : this._configuration.connection_queue_timeout
+        });
+
+        // Transport event callbacks.
+        transport.onconnecting = onTransportConnecting.bind(this, transport);
+        transport.onconnect = onTransportConnect.bind(this, transport);
+        transport.ondisconnect = onTransportDisconnect.bind(this, transport);
+        transport.ondata = onTransportData.bind(this, transport);
+        transport.onsend = onTransportSend.bind(this, transport);
+        transport.onsocketswitch = onTransportSocketSwitch.bind(this, transport);
+        transport.ondead = onTransportDead.bind(this, transport);
+
+        this._transports.push(transport);
+      }
+
+      this._transport = this._transports[0];
     }
     catch (e)
     {
@@ -907,38 +1085,15 @@ module.exports = class UA extends EventEmitter
     // Contact URI.
     else
     {
-      this._configuration.contact_uri = new URI('sip', Utils.createRandomToken(8), this._configuration.via_host, null, { transport: 'ws' });
-    }
-
-    this._contact = {
-      pub_gruu  : null,
-      temp_gruu : null,
-      uri       : this._configuration.contact_uri,
-      toString(options = {})
-      {
-        const anonymous = options.anonymous || null;
-        const outbound = options.outbound || null;
-        let contact = '<';
-
-        if (anonymous)
-        {
-          contact += this.temp_gruu || 'sip:anonymous@anonymous.invalid;transport=ws';
-        }
-        else
-        {
-          contact += this.pub_gruu || this.uri.toString();
-        }
+      // RFC 7118 uses 'ws' as URI transport param for both WS and WSS.
+      const via_transport = this._transport.via_transport.toLowerCase();
+      const transport = [ 'udp', 'tcp', 'tls' ].indexOf(via_transport) !== -1 ? via_transport : 'ws';
 
-        if (outbound && (anonymous ? !this.temp_gruu : !this.pub_gruu))
-        {
-          contact += ';ob';
-        }
-
-        contact += '>';
+      this._configuration.contact_uri = new URI('sip', Utils.createRandomToken(8), this._configuration.via_host, null, { transport });
+    }
 
-        return contact;
-      }
-    };
+    this._contact = createContact(
+      this._configuration.contact_uri, this._configuration.contact_gruu);
 
     // Seal the configuration.
     const writable_parameters = [
@@ -983,6 +1138,9 @@ module.exports = class UA extends EventEmitter
           case 'authorization_jwt':
             logger.debug(`- ${parameter}: NOT SHOWN`);
             break;
+          case 'accounts':
+            logger.debug(`- ${parameter}: ${(this._configuration.accounts || []).map((account) => account.id)}`);
+            break;
           default:
             logger.debug(`- ${parameter}: ${JSON.stringify(this._configuration[parameter])}`);
         }
@@ -993,18 +1151,102 @@ module.exports = class UA extends EventEmitter
   }
 };
 
+/**
+ * Contact of the UA or of any of its accounts.
+ *
+ * -param {URI} uri
+ * -param {String} gruu GRUU (RFC 5627) to use once registered: 'public',
+ *  'temporary' or 'none'. The temporary one is always used for anonymous
+ *  requests.
+ */
+function createContact(uri, gruu)
+{
+  return {
+    pub_gruu  : null,
+    temp_gruu : null,
+    uri       : uri,
+    // Contact URI with the public address learnt from registration responses.
+    nat_uri   : null,
+    toString(options = {})
+    {
+      const anonymous = options.anonymous || null;
+      const outbound = options.outbound || null;
+      let contact = '<';
+      let used_gruu;
+
+      if (anonymous)
+      {
+        used_gruu = this.temp_gruu;
+        contact += used_gruu || 'sip:anonymous@anonymous.invalid;transport=ws';
+      }
+      else
+      {
+        used_gruu = { public: this.pub_gruu, temporary: this.temp_gruu }[gruu] || null;
+        contact += used_gruu || (this.nat_uri || this.uri).toString();
+      }
+
+      // A GRUU already routes to this instance.
+      if (outbound && !used_gruu)
+      {
+        contact += ';ob';
+      }
+
+      contact += '>';
+
+      return contact;
+    }
+  };
+}
+
+/**
+ * Whether the given URI is one of the GRUUs (RFC 5627) of the given Contact.
+ */
+function isGruu(contact, uri)
+{
+  if (!uri.hasParam('gr'))
+  {
+    return false;
+  }
+
+  return [ contact.pub_gruu, contact.temp_gruu ].some((gruu) =>
+  {
+    const gruu_uri = gruu ? URI.parse(gruu) : null;
+
+    return Boolean(gruu_uri) &&
+      gruu_uri.user === uri.user &&
+      gruu_uri.host === uri.host &&
+      gruu_uri.getParam('gr') === uri.getParam('gr');
+  });
+}
+
+/**
+ * RFC 5626 4.5. Seconds to wait before trying to recover a failed flow.
+ */
+function getFlowRecoveryDelay(attempts)
+{
+  // Other flows are still working.
+  const base_time = this.isConnected() ?
+    JsSIP_C.OUTBOUND_RECOVERY_BASE_TIME_SOME_OK :
+    JsSIP_C.OUTBOUND_RECOVERY_BASE_TIME_ALL_FAILED;
+  const wait_time = Math.min(
+    JsSIP_C.OUTBOUND_RECOVERY_MAX_TIME, base_time * Math.pow(2, attempts));
+
+  // Random number between 50 and 100% of wait-time.
+  return wait_time * (0.5 + (Math.random() * 0.5));
+}
+
 /**
  * Transport event handlers
  */
 
 // Transport connecting event.
-function onTransportConnecting(data)
+function onTransportConnecting(transport, data)
 {
   this.emit('connecting', data);
 }
 
 // Transport connected event.
-function onTransportConnect(data)
+function onTransportConnect(transport, data)
 {
   if (this._status === C.STATUS_USER_CLOSED)
   {
@@ -1018,21 +1260,26 @@ function onTransportConnect(data)
 
   if (this._dynConfiguration.register)
   {
-    this._registrator.register();
+    this._registrators[this._transports.indexOf(transport)].register();
   }
+
+  this._accounts.forEach((account) => account.onTransportConnect(transport));
 }
 
 // Transport disconnected event.
-function onTransportDisconnect(data)
+function onTransportDisconnect(transport, data)
 {
-  // Run _onTransportError_ callback on every client transaction using _transport_.
+  // Run _onTransportError_ callback on every transaction using _transport_,
+  // except those whose request is queued waiting for the transport to reconnect.
   const client_transactions = [ 'nict', 'ict', 'nist', 'ist' ];
 
   for (const type of client_transactions)
   {
     for (const id in this._transactions[type])
     {
-      if (Object.prototype.hasOwnProperty.call(this._transactions[type], id))
+      if (Object.prototype.hasOwnProperty.call(this._transactions[type], id) &&
+          this._transactions[type][id].transport === transport &&
+          !this._transactions[type][id].queued)
       {
         this._transactions[type][id].onTransportError();
       }
@@ -1042,19 +1289,90 @@ function onTransportDisconnect(data)
   this.emit('disconnected', data);
 
   // Call registrator _onTransportClosed_.
-  this._registrator.onTransportClosed();
+  this._registrators[this._transports.indexOf(transport)].onTransportClosed();
+  this._accounts.forEach((account) => account.onTransportClosed(transport));
 
-  if (this._status !== C.STATUS_USER_CLOSED)
+  if (this._status !== C.STATUS_USER_CLOSED && !this.isConnected())
   {
     this._status = C.STATUS_NOT_READY;
     this._error = C.NETWORK_ERROR;
   }
 }
 
+// Transport dead event (no CRLF keep-alive response).
+function onTransportDead(transport, data)
+{
+  this.emit('transportDead', data);
+}
+
+// Transport socket switch event.
+function onTransportSocketSwitch(transport, data)
+{
+  this.emit('socketSwitch', {
+    transport,
+    previous : data.previous,
+    socket   : data.socket
+  });
+}
+
+// Transport send event. Returns false if the message must not be sent.
+function onTransportSend(transport, data)
+{
+  if (!(data.message instanceof SIPMessage.OutgoingRequest))
+  {
+    return true;
+  }
+
+  if (!runInterceptors.call(this, 'onSend', data.message, transport))
+  {
+    logger.debug('outgoing request dropped by interceptor');
+
+    return false;
+  }
+
+  return true;
+}
+
+// Run the given interceptor callback of every interceptor over the message.
+// Returns false if the message has been dropped.
+function runInterceptors(callback, message, transport)
+{
+  for (const interceptor of this._interceptors.slice())
+  {
+    if (typeof interceptor[callback] !== 'function')
+    {
+      continue;
+    }
+
+    let result;
+
+    try
+    {
+      result = interceptor[callback](message, transport);
+    }
+    catch (error)
+    {
+      logger.warn(`interceptor ${callback}() failed: ${error}`);
+
+      continue;
+    }
+
+    if (result === false)
+    {
+      return false;
+    }
+    else if (result === true)
+    {
+      break;
+    }
+  }
+
+  return true;
+}
+
 // Transport data event.
-function onTransportData(data)
+function onTransportData(transport, data)
 {
-  const transport = data.transport;
   let message = data.message;
 
   message = Parser.parseMessage(message, this);
@@ -1064,6 +1382,13 @@ function onTransportData(data)
     return;
   }
 
+  if (!runInterceptors.call(this, 'onReceive', message, transport))
+  {
+    logger.debug('incoming message dropped by interceptor');
+
+    return;
+  }
+
   if (this._status === C.STATUS_USER_CLOSED &&
       message instanceof SIPMessage.IncomingRequest)
   {
@@ -0,0 +1,212 @@
+const dgram = require('dgram');
+const net = require('net');
+const Logger = require('./Logger');
+const Grammar = require('./Grammar');
+
+const logger = new Logger('UdpSocket');
+
+const DEFAULT_PORT = 5060;
+
+/**
+ * JsSIP.Socket implementation for SIP over UDP (Node.js only).
+ *
+ * The socket is "connected" to the given peer, so only datagrams from it are
+ * received. Each datagram carries exactly one SIP message (RFC 3261 18.3).
+ *
+ * -param {String} url 'udp://host[:port]'
+ * -param {Object} [options]
+ *  - local_address: local address to bind the socket to
+ *  - local_port: local port to bind the socket to
+ */
+module.exports = class UdpSocket
+{
+  constructor(url, options = {})
+  {
+    logger.debug('new() [url:"%s"]', url);
+
+    this._url = url;
+    this._options = options;
+    this._sip_uri = null;
+    this._via_transport = null;
+    this._host = null;
+    this._port = null;
+    this._socket = null;
+    this._connected = false;
+
+    const parsed_url = Grammar.parse(url, 'absoluteURI');
+
+    if (parsed_url === -1)
+    {
+      logger.warn(`invalid UDP URI: ${url}`);
+      throw new TypeError(`Invalid argument: ${url}`);
+    }
+    else if (parsed_url.scheme !== 'udp')
+    {
+      logger.warn(`invalid UDP URI scheme: ${parsed_url.scheme}`);
+      throw new TypeError(`Invalid argument: ${url}`);
+    }
+    else
+    {
+      // Remove IPv6 reference brackets.
+      this._host = parsed_url.host.replace(/^\[|\]$/g, '');
+      this._port = parsed_url.port || DEFAULT_PORT;
+      this._sip_uri = `sip:${parsed_url.host}${parsed_url.port ? `:${parsed_url.port}` : ''};transport=udp`;
+      this._via_transport = 'UDP';
+    }
+  }
+
+  get via_transport()
+  {
+    return this._via_transport;
+  }
+
+  set via_transport(value)
+  {
+    this._via_transport = value.toUpperCase();
+  }
+
+  get sip_uri()
+  {
+    return this._sip_uri;
+  }
+
+  get url()
+  {
+    return this._url;
+  }
+
+  connect()
+  {
+    logger.debug('connect()');
+
+    if (this.isConnected())
+    {
+      logger.debug(`socket ${this._url} is already connected`);
+
+      return;
+    }
+    else if (this.isConnecting())
+    {
+      logger.debug(`socket ${this._url} is connecting`);
+
+      return;
+    }
+
+    if (this._socket)
+    {
+      this.disconnect();
+    }
+
+    logger.debug(`connecting to socket ${this._url}`);
+
+    try
+    {
+      this._socket = dgram.createSocket(net.isIPv6(this._host) ? 'udp6' : 'udp4');
+
+      this._socket.on('connect', this._onOpen.bind(this));
+      this._socket.on('close', this._onClose.bind(this));
+      this._socket.on('message', this._onMessage.bind(this));
+      this._socket.on('error', this._onError.bind(this));
+
+      this._socket.bind({
+        address : this._options.local_address,
+        port    : this._options.local_port || 0
+      }, () =>
+      {
+        this._socket.connect(this._port, this._host);
+      });
+    }
+    catch (e)
+    {
+      this._onError(e);
+    }
+  }
+
+  disconnect()
+  {
+    logger.debug('disconnect()');
+
+    if (this._socket)
+    {
+      // Unbind socket event callbacks.
+      this._socket.removeAllListeners();
+      // Keep an error listener so late errors do not throw.
+      this._socket.on('error', () => {});
+
+      try { this._socket.close(); }
+      catch (error) {}
+
+      this._socket = null;
+      this._connected = false;
+    }
+  }
+
+  send(message)
+  {
+    logger.debug('send()');
+
+    if (this.isConnected())
+    {
+      this._socket.send(message);
+
+      return true;
+    }
+    else
+    {
+      logger.warn(`unable to send message, socket ${this._url} is not open`);
+
+      return false;
+    }
+  }
+
+  isConnected()
+  {
+    return Boolean(this._socket) && this._connected;
+  }
+
+  isConnecting()
+  {
+    return Boolean(this._socket) && !this._connected;
+  }
+
+  /**
+   * Socket Event Handlers
+   */
+
+  _onOpen()
+  {
+    logger.debug(`socket ${this._url} connected`);
+
+    this._connected = true;
+
+    this.onconnect();
+  }
+
+  _onClose()
+  {
+    logger.debug(`socket ${this._url} closed`);
+
+    this._socket = null;
+    this._connected = false;
+
+    this.ondisconnect(true);
+  }
+
+  _onMessage(data)
+  {
+    logger.debug('received socket message');
+
+    this.ondata(data);
+  }
+
+  _onError(e)
+  {
+    logger.warn(`socket ${this._url} error: `, e);
+
+    // Errors while connecting (i.e. name resolution) are fatal.
+    if (this._socket && !this._connected)
+    {
+      this._socket.close();
+    }
+  }
+};
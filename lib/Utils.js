@@ -495,6 +495,215 @@ exports.calculateMD5 = (string) =>
   return temp.toLowerCase();
 };
 
+// SHA-256 round constants (FIPS 180-4 4.2.2).
+const SHA256_K = [
+  0x428a2f98, 0x71374491, 0xb5c0fbcf, 0xe9b5dba5,
+  0x3956c25b, 0x59f111f1, 0x923f82a4, 0xab1c5ed5,
+  0xd807aa98, 0x12835b01, 0x243185be, 0x550c7dc3,
+  0x72be5d74, 0x80deb1fe, 0x9bdc06a7, 0xc19bf174,
+  0xe49b69c1, 0xefbe4786, 0x0fc19dc6, 0x240ca1cc,
+  0x2de92c6f, 0x4a7484aa, 0x5cb0a9dc, 0x76f988da,
+  0x983e5152, 0xa831c66d, 0xb00327c8, 0xbf597fc7,
+  0xc6e00bf3, 0xd5a79147, 0x06ca6351, 0x14292967,
+  0x27b70a85, 0x2e1b2138, 0x4d2c6dfc, 0x53380d13,
+  0x650a7354, 0x766a0abb, 0x81c2c92e, 0x92722c85,
+  0xa2bfe8a1, 0xa81a664b, 0xc24b8b70, 0xc76c51a3,
+  0xd192e819, 0xd6990624, 0xf40e3585, 0x106aa070,
+  0x19a4c116, 0x1e376c08, 0x2748774c, 0x34b0bcb5,
+  0x391c0cb3, 0x4ed8aa4a, 0x5b9cca4f, 0x682e6ff3,
+  0x748f82ee, 0x78a5636f, 0x84c87814, 0x8cc70208,
+  0x90befffa, 0xa4506ceb, 0xbef9a3f7, 0xc67178f2
+];
+
+// SHA-512 round constants (FIPS 180-4 4.2.3), as [high, low] 32 bit words.
+const SHA512_K = [
+  '428a2f98d728ae22', '7137449123ef65cd', 'b5c0fbcfec4d3b2f', 'e9b5dba58189dbbc',
+  '3956c25bf348b538', '59f111f1b605d019', '923f82a4af194f9b', 'ab1c5ed5da6d8118',
+  'd807aa98a3030242', '12835b0145706fbe', '243185be4ee4b28c', '550c7dc3d5ffb4e2',
+  '72be5d74f27b896f', '80deb1fe3b1696b1', '9bdc06a725c71235', 'c19bf174cf692694',
+  'e49b69c19ef14ad2', 'efbe4786384f25e3', '0fc19dc68b8cd5b5', '240ca1cc77ac9c65',
+  '2de92c6f592b0275', '4a7484aa6ea6e483', '5cb0a9dcbd41fbd4', '76f988da831153b5',
+  '983e5152ee66dfab', 'a831c66d2db43210', 'b00327c898fb213f', 'bf597fc7beef0ee4',
+  'c6e00bf33da88fc2', 'd5a79147930aa725', '06ca6351e003826f', '142929670a0e6e70',
+  '27b70a8546d22ffc', '2e1b21385c26c926', '4d2c6dfc5ac42aed', '53380d139d95b3df',
+  '650a73548baf63de', '766a0abb3c77b2a8', '81c2c92e47edaee6', '92722c851482353b',
+  'a2bfe8a14cf10364', 'a81a664bbc423001', 'c24b8b70d0f89791', 'c76c51a30654be30',
+  'd192e819d6ef5218', 'd69906245565a910', 'f40e35855771202a', '106aa07032bbd1b8',
+  '19a4c116b8d2d0c8', '1e376c085141ab53', '2748774cdf8eeb99', '34b0bcb5e19b48a8',
+  '391c0cb3c5c95a63', '4ed8aa4ae3418acb', '5b9cca4f7763e373', '682e6ff3d6b2b8a3',
+  '748f82ee5defb2fc', '78a5636f43172f60', '84c87814a1f0ab72', '8cc702081a6439ec',
+  '90befffa23631e28', 'a4506cebde82bde9', 'bef9a3f7b2c67915', 'c67178f2e372532b',
+  'ca273eceea26619c', 'd186b8c721c0c207', 'eada7dd6cde0eb1e', 'f57d4f7fee6ed178',
+  '06f067aa72176fba', '0a637dc5a2c898a6', '113f9804bef90dae', '1b710b35131c471b',
+  '28db77f523047d84', '32caab7b40c72493', '3c9ebe0a15c9bebc', '431d67c49c100d4c',
+  '4cc5d4becb3e42b6', '597f299cfc657e2a', '5fcb6fab3ad6faec', '6c44198c4a475817'
+].map((k) => [ parseInt(k.substr(0, 8), 16) | 0, parseInt(k.substr(8), 16) | 0 ]);
+
+/**
+ * UTF-8 representation of the given string as big-endian 32 bit words,
+ * padded to a multiple of the given block size (FIPS 180-4 5.1).
+ */
+function sha2Words(string, block_size)
+{
+  const bytes = unescape(encodeURIComponent(string));
+  const length = bytes.length;
+  // 64 or 128 bits for the message length.
+  const size = Math.ceil((length + 1 + (block_size / 8)) / block_size) * block_size;
+  const words = new Array(size / 4).fill(0);
+
+  for (let i = 0; i < length; i++)
+  {
+    words[i >> 2] |= bytes.charCodeAt(i) << (24 - ((i % 4) * 8));
+  }
+
+  words[length >> 2] |= 0x80 << (24 - ((length % 4) * 8));
+
+  // Message length in bits.
+  words[words.length - 2] = Math.floor(length / 0x20000000);
+  words[words.length - 1] = (length * 8) | 0;
+
+  return words;
+}
+
+function wordsToHex(words)
+{
+  return words
+    .map((word) => `0000000${(word >>> 0).toString(16)}`.slice(-8))
+    .join('');
+}
+
+// SHA-256 (FIPS 180-4 6.2).
+exports.calculateSHA256 = (string) =>
+{
+  const rotr = (x, n) => (x >>> n) | (x << (32 - n));
+  const hash = [
+    0x6a09e667, 0xbb67ae85, 0x3c6ef372, 0xa54ff53a,
+    0x510e527f, 0x9b05688c, 0x1f83d9ab, 0x5be0cd19
+  ];
+  const words = sha2Words(string, 64);
+  const w = new Array(64);
+
+  for (let i = 0; i < words.length; i += 16)
+  {
+    let [ a, b, c, d, e, f, g, h ] = hash;
+
+    for (let t = 0; t < 64; t++)
+    {
+      if (t < 16)
+      {
+        w[t] = words[i + t];
+      }
+      else
+      {
+        const s0 = rotr(w[t - 15], 7) ^ rotr(w[t - 15], 18) ^ (w[t - 15] >>> 3);
+        const s1 = rotr(w[t - 2], 17) ^ rotr(w[t - 2], 19) ^ (w[t - 2] >>> 10);
+
+        w[t] = (w[t - 16] + s0 + w[t - 7] + s1) | 0;
+      }
+
+      const S1 = rotr(e, 6) ^ rotr(e, 11) ^ rotr(e, 25);
+      const ch = (e & f) ^ (~e & g);
+      const t1 = (h + S1 + ch + SHA256_K[t] + w[t]) | 0;
+      const S0 = rotr(a, 2) ^ rotr(a, 13) ^ rotr(a, 22);
+      const maj = (a & b) ^ (a & c) ^ (b & c);
+
+      h = g;
+      g = f;
+      f = e;
+      e = (d + t1) | 0;
+      d = c;
+      c = b;
+      b = a;
+      a = (t1 + S0 + maj) | 0;
+    }
+
+    [ a, b, c, d, e, f, g, h ].forEach((value, idx) =>
+    {
+      hash[idx] = (hash[idx] + value) | 0;
+    });
+  }
+
+  return wordsToHex(hash);
+};
+
+// SHA-512/256 (FIPS 180-4 6.7). 64 bit words as [high, low] 32 bit words.
+exports.calculateSHA512_256 = (string) =>
+{
+  const add = (...values) =>
+  {
+    const low = values.reduce((sum, [ , l ]) => sum + (l >>> 0), 0);
+    const high = values.reduce((sum, [ hi ]) => sum + hi, 0);
+
+    return [ (high + Math.floor(low / 0x100000000)) | 0, low | 0 ];
+  };
+  const xor = (...values) => values
+    .reduce(([ h1, l1 ], [ h2, l2 ]) => [ h1 ^ h2, l1 ^ l2 ]);
+  const rotr = ([ h, l ], n) =>
+  {
+    if (n < 32)
+    {
+      return [ (h >>> n) | (l << (32 - n)), (l >>> n) | (h << (32 - n)) ];
+    }
+
+    return [ (l >>> (n - 32)) | (h << (64 - n)), (h >>> (n - 32)) | (l << (64 - n)) ];
+  };
+  const shr = ([ h, l ], n) => [ h >>> n, (l >>> n) | (h << (32 - n)) ];
+  const hash = [
+    [ 0x22312194, 0xfc2bf72c ], [ 0x9f555fa3, 0xc84c64c2 ],
+    [ 0x2393b86b, 0x6f53b151 ], [ 0x96387719, 0x5940eabd ],
+    [ 0x96283ee2, 0xa88effe3 ], [ 0xbe5e1e25, 0x53863992 ],
+    [ 0x2b0199fc, 0x2c85b8aa ], [ 0x0eb72ddc, 0x81c52ca2 ]
+  ];
+  const words = sha2Words(string, 128);
+  const w = new Array(80);
+
+  for (let i = 0; i < words.length; i += 32)
+  {
+    let [ a, b, c, d, e, f, g, h ] = hash;
+
+    for (let t = 0; t < 80; t++)
+    {
+      if (t < 16)
+      {
+        w[t] = [ words[i + (t * 2)], words[i + (t * 2) + 1] ];
+      }
+      else
+      {
+        const s0 = xor(rotr(w[t - 15], 1), rotr(w[t - 15], 8), shr(w[t - 15], 7));
+        const s1 = xor(rotr(w[t - 2], 19), rotr(w[t - 2], 61), shr(w[t - 2], 6));
+
+        w[t] = add(w[t - 16], s0, w[t - 7], s1);
+      }
+
+      const S1 = xor(rotr(e, 14), rotr(e, 18), rotr(e, 41));
+      const ch = [ (e[0] & f[0]) ^ (~e[0] & g[0]), (e[1] & f[1]) ^ (~e[1] & g[1]) ];
+      const t1 = add(h, S1, ch, SHA512_K[t], w[t]);
+      const S0 = xor(rotr(a, 28), rotr(a, 34), rotr(a, 39));
+      const maj = [
+        (a[0] & b[0]) ^ (a[0] & c[0]) ^ (b[0] & c[0]),
+        (a[1] & b[1]) ^ (a[1] & c[1]) ^ (b[1] & c[1])
+      ];
+
+      h = g;
+      g = f;
+      f = e;
+      e = add(d, t1);
+      d = c;
+      c = b;
+      b = a;
+      a = add(t1, S0, maj);
+    }
+
+    [ a, b, c, d, e, f, g, h ].forEach((value, idx) =>
+    {
+      hash[idx] = add(hash[idx], value);
+    });
+  }
+
+  // Truncated to 256 bits.
+  return wordsToHex([].concat(...hash.slice(0, 4)));
+};
+
 exports.closeMediaStream = (stream) =>
 {
   if (!stream)
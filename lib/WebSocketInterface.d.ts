@@ -1,8 +1,9 @@
 export interface DisconnectEvent {
   socket: Socket;
   error: boolean;
-  code?: number;
+  code?: number | string;
   reason?: string;
+  cause?: 'timeout' | 'refused' | 'tls_error' | 'closed' | 'error';
 }
 
 export interface WeightedSocket  {
@@ -35,6 +36,47 @@ export class Socket {
   ondata<T>(event: T): void;
 }
 
+export interface WebSocketInterfaceOptions {
+  WebSocket?: any;
+  protocols?: string[];
+  headers?: { [key: string]: string };
+  agent?: any;
+  ws_options?: any;
+}
+
+// The connection fails if the server does not accept the 'sip' subprotocol,
+// also when it omits the Sec-WebSocket-Protocol header.
 export class WebSocketInterface extends Socket {
-  constructor(url: string)
+  constructor(url: string, options?: WebSocketInterfaceOptions)
+}
+
+export interface TcpSocketOptions {
+  local_address?: string;
+  local_port?: number;
+  max_message_size?: number;
+}
+
+export interface TlsSocketOptions extends TcpSocketOptions {
+  ca?: string | Buffer | Array<string | Buffer>;
+  cert?: string | Buffer | Array<string | Buffer>;
+  key?: string | Buffer | Array<string | Buffer>;
+  servername?: string;
+  rejectUnauthorized?: boolean;
+}
+
+export class TcpSocket extends Socket {
+  constructor(url: string, options?: TcpSocketOptions)
+}
+
+export class TlsSocket extends TcpSocket {
+  constructor(url: string, options?: TlsSocketOptions)
+}
+
+export interface UdpSocketOptions {
+  local_address?: string;
+  local_port?: number;
+}
+
+export class UdpSocket extends Socket {
+  constructor(url: string, options?: UdpSocketOptions)
 }
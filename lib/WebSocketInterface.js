@@ -3,13 +3,32 @@ const Grammar = require('./Grammar');
 
 const logger = new Logger('WebSocketInterface');
 
+/**
+ * WebSocket subprotocol for SIP (RFC 7118).
+ */
+const SIP_PROTOCOL = 'sip';
+
+/**
+ * JsSIP.Socket implementation for SIP over WebSocket (RFC 7118).
+ *
+ * -param {String} url 'ws://host[:port][/path]' or 'wss://host[:port][/path]'
+ * -param {Object} [options]
+ *  - WebSocket: WebSocket implementation (the global WebSocket by default)
+ *  - protocols: additional subprotocols to offer besides 'sip'
+ *  - headers: extra HTTP headers for the handshake
+ *  - agent: HTTP(S) agent for the handshake
+ *  - ws_options: any other option given to the WebSocket implementation
+ *  Handshake options are given as third argument to the WebSocket
+ *  constructor, as the Node.js 'ws' module expects.
+ */
 module.exports = class WebSocketInterface
 {
-  constructor(url)
+  constructor(url, options = {})
   {
     logger.debug('new() [url:"%s"]', url);
 
     this._url = url;
+    this._options = options;
     this._sip_uri = null;
     this._via_transport = null;
     this._ws = null;
@@ -79,7 +98,7 @@ module.exports = class WebSocketInterface
 
     try
     {
-      this._ws = new WebSocket(this._url, 'sip');
+      this._ws = this._createWebSocket();
 
       this._ws.binaryType = 'arraybuffer';
 
@@ -140,6 +159,38 @@ module.exports = class WebSocketInterface
   }
 
 
+  /**
+   * Private API.
+   */
+
+  _createWebSocket()
+  {
+    const WebSocketClass = this._options.WebSocket || WebSocket;
+    const protocols = [ SIP_PROTOCOL ].concat(
+      (this._options.protocols || []).filter((protocol) => protocol !== SIP_PROTOCOL));
+    const ws_options = Object.assign({}, this._options.ws_options);
+
+    if (this._options.headers)
+    {
+      ws_options.headers = Object.assign({}, ws_options.headers, this._options.headers);
+    }
+
+    if (this._options.agent)
+    {
+      ws_options.agent = this._options.agent;
+    }
+
+    const subprotocols = protocols.length === 1 ? SIP_PROTOCOL : protocols;
+
+    // Browsers do not accept handshake options.
+    if (Object.keys(ws_options).length === 0)
+    {
+      return new WebSocketClass(this._url, subprotocols);
+    }
+
+    return new WebSocketClass(this._url, subprotocols, ws_options);
+  }
+
   /**
    * WebSocket Event Handlers
    */
@@ -148,6 +199,18 @@ module.exports = class WebSocketInterface
   {
     logger.debug(`WebSocket ${this._url} connected`);
 
+    // RFC 7118 4.1. The server must accept the 'sip' subprotocol.
+    if (typeof this._ws.protocol === 'string' && this._ws.protocol !== SIP_PROTOCOL)
+    {
+      logger.warn(
+        `WebSocket ${this._url} server did not accept the 'sip' subprotocol [protocol:"${this._ws.protocol}"]`);
+
+      this.disconnect();
+      this.ondisconnect(true, undefined, 'SIP subprotocol not accepted');
+
+      return;
+    }
+
     this.onconnect();
   }
 
@@ -0,0 +1,41 @@
+/**
+ * Fake JsSIP.Socket that connects synchronously and records sent data.
+ */
+class FakeSocket
+{
+  constructor(host)
+  {
+    this.via_transport = 'WS';
+    this.url = `ws://${host}`;
+    this.sip_uri = `sip:${host};transport=ws`;
+    this.sent = [];
+    this.connected = false;
+  }
+
+  connect()
+  {
+    this.connected = true;
+    this.onconnect();
+  }
+
+  disconnect()
+  {
+    this.connected = false;
+  }
+
+  send(data)
+  {
+    this.sent.push(data);
+
+    return this.connected;
+  }
+
+  // Simulate a remote disconnection.
+  close()
+  {
+    this.connected = false;
+    this.ondisconnect(true);
+  }
+}
+
+module.exports = FakeSocket;
@@ -0,0 +1,30 @@
+/**
+ * Reply to a request sent through the given FakeSocket, the last one unless
+ * another one is given.
+ *
+ * -param {FakeSocket} socket
+ * -param {String} status status code and reason phrase, ie: '200 OK'
+ * -param {Array} [extraHeaders] header lines added to the response
+ * -param {Object} [options]
+ *  - request: sent request to reply to
+ *  - via_params: parameters added to the Via header
+ */
+function reply(socket, status, extraHeaders = [], options = {})
+{
+  const request = options.request || socket.sent[socket.sent.length - 1];
+  const viaParams = options.via_params || '';
+  const header = (name) => request.match(new RegExp(`^${name}: .*$`, 'm'))[0];
+  const extra = extraHeaders.map((h) => `${h}\r\n`).join('');
+
+  socket.ondata(
+    `SIP/2.0 ${status}\r\n` +
+    `${header('Via')}${viaParams}\r\n` +
+    `${header('From')}\r\n` +
+    `${header('To')};tag=1234\r\n` +
+    `${header('Call-ID')}\r\n` +
+    `${header('CSeq')}\r\n` +
+    `${extra}` +
+    'Content-Length: 0\r\n\r\n');
+}
+
+module.exports = reply;
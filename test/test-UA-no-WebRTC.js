@@ -2,7 +2,11 @@
 
 require('./include/common');
 const testUA = require('./include/testUA');
+const FakeSocket = require('./include/FakeSocket');
+const reply = require('./include/reply');
 const JsSIP = require('../');
+const SIPMessage = require('../lib-es5/SIPMessage');
+const RequestSender = require('../lib-es5/RequestSender');
 
 
 module.exports = {
@@ -96,6 +100,904 @@ module.exports = {
 
     ua.stop();
     test.done();
+  },
+
+  'UA with several SIP Outbound flows' : function(test)
+  {
+    const socket1 = new FakeSocket('edge1.jssip.net');
+    const socket2 = new FakeSocket('edge2.jssip.net');
+    const config = Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets        : [ socket1, socket2 ],
+      outbound_flows : 2
+    });
+
+    test.throws(
+      function()
+      {
+        const ua = new JsSIP.UA(Object.assign({}, config, { sockets: socket1 }));
+      },
+      function(error)
+      {
+        return error.name === 'CONFIGURATION_ERROR' && error.parameter === 'outbound_flows';
+      }
+    );
+
+    const ua = new JsSIP.UA(config);
+    const registrators = ua.registrators();
+    let registered = 0;
+    let unregistered = 0;
+
+    test.strictEqual(registrators.length, 2);
+    test.strictEqual(registrators[0], ua.registrator());
+    test.strictEqual(registrators[0].reg_id, 1);
+    test.strictEqual(registrators[1].reg_id, 2);
+
+    ua.on('registered', () => registered++);
+    ua.on('unregistered', () => unregistered++);
+    ua.start();
+
+    test.ok(socket1.connected);
+    test.ok(socket2.connected);
+    test.strictEqual(ua.transport, registrators[0].transport);
+
+    // Each flow registers the same instance with its own reg-id.
+    ua.register();
+
+    const contacts = [ socket1, socket2 ].map(
+      (socket) => socket.sent[socket.sent.length - 1].match(/^Contact: .*$/m)[0]);
+    const instances = contacts.map((contact) => contact.match(/\+sip\.instance="[^"]*"/));
+    const reg_ids = contacts.map((contact) => contact.match(/reg-id=(\d+)/)[1]);
+
+    test.ok(instances[0]);
+    test.strictEqual(instances[0][0], instances[1][0]);
+    test.deepEqual(reg_ids, [ '1', '2' ]);
+
+    // The 'registered' event is emitted for the first registered flow only.
+    reply(socket1, '200 OK', [ contacts[0] ]);
+    test.strictEqual(registered, 1);
+    reply(socket2, '200 OK', [ contacts[1] ]);
+    test.strictEqual(registered, 1);
+    test.ok(registrators[0].registered);
+    test.ok(registrators[1].registered);
+
+    // The first flow dies, traffic goes over the second one.
+    socket1.close();
+    test.ok(ua.isRegistered());
+    test.strictEqual(unregistered, 0);
+
+    test.ok(ua.isConnected());
+    test.strictEqual(ua.status, JsSIP.UA.C.STATUS_READY);
+    test.strictEqual(ua.transport, registrators[1].transport);
+
+    // RFC 5626 4.5 backoff with a working flow: base-time 90 seconds.
+    const delay = registrators[0].transport.options.recovery_delay(1);
+
+    test.ok(delay >= 90 && delay <= 180);
+
+    // Transports are closed once the pending un-REGISTER transactions are given
+    // some time to complete.
+    ua.stop();
+    test.ok(ua.isConnected());
+
+    setTimeout(() =>
+    {
+      test.ok(!ua.isConnected());
+      test.done();
+    }, 2100);
+  },
+
+  'UA interceptors' : function(test)
+  {
+    const socket = new FakeSocket('edge.jssip.net');
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets : socket
+    }));
+    const received = [];
+
+    test.throws(() => ua.addInterceptor({}), TypeError);
+
+    ua.addInterceptor({
+      onSend : (request) =>
+      {
+        request.setHeader('X-Tenant', 'acme');
+
+        // Skip the following interceptors for OPTIONS.
+        return request.method === JsSIP.C.OPTIONS ? true : undefined;
+      },
+      onReceive : (message) =>
+      {
+        received.push(message);
+
+        return message.method !== JsSIP.C.OPTIONS;
+      }
+    });
+    ua.addInterceptor({
+      onSend : (request) => request.method !== JsSIP.C.MESSAGE
+    });
+
+    ua.start();
+
+    ua.sendOptions('sip:bob@jssip.net');
+    test.strictEqual(socket.sent.length, 1);
+    test.ok(/^OPTIONS /.test(socket.sent[0]));
+    test.ok(socket.sent[0].indexOf('X-Tenant: acme\r\n') !== -1);
+
+    // A dropped request is not a transport error.
+    let failed = false;
+
+    ua.sendMessage('sip:bob@jssip.net', 'hello', {
+      eventHandlers : { failed: () => { failed = true; } }
+    });
+    test.strictEqual(socket.sent.length, 1, 'MESSAGE dropped');
+    test.ok(!failed);
+
+    // An incoming OPTIONS dropped by the interceptor is not replied.
+    socket.ondata(
+      'OPTIONS sip:fakeUA@jssip.net SIP/2.0\r\n' +
+      'Via: SIP/2.0/WS edge.jssip.net;branch=z9hG4bK1234\r\n' +
+      'Max-Forwards: 70\r\n' +
+      'To: <sip:fakeUA@jssip.net>\r\n' +
+      'From: <sip:bob@jssip.net>;tag=1234\r\n' +
+      'Call-ID: interceptor-test\r\n' +
+      'CSeq: 1 OPTIONS\r\n' +
+      'Content-Length: 0\r\n\r\n');
+    test.strictEqual(received.length, 1);
+    test.strictEqual(received[0].method, JsSIP.C.OPTIONS);
+    test.strictEqual(socket.sent.length, 1);
+
+    ua.stop();
+    test.done();
+  },
+
+  'UA failover on 503' : function(test)
+  {
+    const a = new FakeSocket('a.jssip.net');
+    const b = new FakeSocket('b.jssip.net');
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets : [
+        { socket: a, weight: 2 },
+        { socket: b, weight: 1 }
+      ],
+      connection_failover_on_error : true
+    }));
+    const results = {};
+    const cseq = (request) => Number(request.match(/^CSeq: (\d+)/m)[1]);
+
+    function sendMessage(name)
+    {
+      ua.sendMessage('sip:bob@jssip.net', name, {
+        eventHandlers : {
+          succeeded : (e) => { results[name] = e; },
+          failed    : (e) => { results[name] = e; }
+        }
+      });
+    }
+
+    ua.start();
+
+    sendMessage('parallel');
+    sendMessage('retried');
+    test.strictEqual(a.sent.length, 2);
+
+    reply(a, '503 Service Unavailable', [ 'Retry-After: 10' ]);
+
+    // Sent again through the next server.
+    test.strictEqual(ua.transport.socket, b);
+    test.strictEqual(b.sent.length, 1);
+    test.strictEqual(cseq(b.sent[0]), cseq(a.sent[1]) + 1);
+    test.ok(/^Route: <sip:b\.jssip\.net;transport=ws;lr>\r$/m.test(b.sent[0]));
+    test.ok(!results.retried);
+
+    // The parallel transaction survives.
+    test.ok(!results.parallel);
+    reply(a, '200 OK', [], { request: a.sent[0] });
+    test.strictEqual(results.parallel.response.status_code, 200);
+
+    reply(b, '200 OK');
+    test.strictEqual(results.retried.response.status_code, 200);
+
+    // The 503 is passed to the application if the next server fails too.
+    sendMessage('failed');
+    reply(b, '503 Service Unavailable', [ 'Retry-After: 10' ]);
+    test.strictEqual(ua.transport.socket, a);
+    reply(a, '503 Service Unavailable', [ 'Retry-After: 20' ]);
+    test.strictEqual(results.failed.response.status_code, 503);
+    test.strictEqual(results.failed.response.getHeader('Retry-After'), '20');
+
+    // No further failover once the request was sent again.
+    test.strictEqual(ua.transport.socket, a);
+
+    // In-dialog requests do not fail over.
+    const request = new SIPMessage.OutgoingRequest(
+      JsSIP.C.INFO, JsSIP.URI.parse('sip:bob@jssip.net'), ua, { to_tag: '1234' });
+    let response;
+
+    new RequestSender(ua, request, {
+      onReceiveResponse : (r) => { response = r; }
+    }).send();
+    reply(a, '503 Service Unavailable');
+    test.strictEqual(response.status_code, 503);
+    test.strictEqual(ua.transport.socket, a);
+
+    // A REGISTER sent again is accepted.
+    ua.register();
+    reply(ua.transport.socket, '503 Service Unavailable');
+
+    const register = ua.transport.socket.sent[ua.transport.socket.sent.length - 1];
+
+    test.ok(/^REGISTER /.test(register));
+    reply(ua.transport.socket, '200 OK', [ register.match(/^Contact: .*$/m)[0] ]);
+    test.ok(ua.isRegistered());
+
+    ua.stop();
+    test.done();
+  },
+
+  'UA NAT Contact rewriting' : function(test)
+  {
+    const socket = new FakeSocket('edge.jssip.net');
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets                      : socket,
+      nat_contact_rewrite          : true,
+      nat_contact_rewrite_sessions : true
+    }));
+
+    // Reply 200 to the last sent REGISTER reflecting the given address.
+    function registered(received, rport)
+    {
+      const contact = socket.sent[socket.sent.length - 1].match(/^Contact: .*$/m)[0]
+        .replace(/;expires=\d+/, '');
+
+      reply(socket, '200 OK', [ `${contact};expires=600` ],
+        { via_params: `;received=${received};rport=${rport}` });
+    }
+
+    ua.start();
+    ua.register();
+
+    test.strictEqual(socket.sent.length, 1);
+    test.ok(/^Via: .*;rport;branch=/m.test(socket.sent[0]));
+
+    registered('203.0.113.7', 40000);
+
+    test.ok(ua.isRegistered());
+    test.strictEqual(socket.sent.length, 2, 'REGISTER sent again');
+    test.ok(/^Contact: <sip:[^@]+@203\.0\.113\.7:40000;transport=ws>/m.test(socket.sent[1]));
+    test.ok(/203\.0\.113\.7:40000/.test(ua.contact.toString()));
+
+    // Same address, no new REGISTER.
+    registered('203.0.113.7', 40000);
+    test.strictEqual(socket.sent.length, 2);
+
+    ua.stop();
+    test.done();
+  },
+
+  'UA accounts' : function(test)
+  {
+    const socket = new FakeSocket('edge.jssip.net');
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets  : socket,
+      register : false,
+      accounts : [
+        { id: 'bob', uri: 'sip:bob@example.org', password: '1234', display_name: 'Bob' }
+      ]
+    }));
+    const account = ua.account('bob');
+
+    test.strictEqual(ua.accounts().length, 1);
+    test.strictEqual(account.uri.toString(), 'sip:bob@example.org');
+    test.strictEqual(account.authorization_user, 'bob');
+    test.notStrictEqual(account.contact.uri.user, ua.contact.uri.user);
+
+    ua.start();
+
+    // The account registers on its own.
+    test.strictEqual(socket.sent.length, 1);
+    test.ok(/^REGISTER sip:example\.org SIP\/2\.0/.test(socket.sent[0]));
+    test.ok(/^From: "Bob" <sip:bob@example\.org>;tag=/m.test(socket.sent[0]));
+    test.ok(/^To: <sip:bob@example\.org>/m.test(socket.sent[0]));
+    test.ok(socket.sent[0].indexOf(`Contact: <${account.contact.uri}`) !== -1);
+
+    // Requests to the account Contact are not rejected.
+    const received = [];
+
+    ua.on('newOptions', (e) => received.push(e.request));
+
+    socket.ondata(
+      `OPTIONS ${account.contact.uri} SIP/2.0\r\n` +
+      'Via: SIP/2.0/WSS 1.2.3.4;branch=z9hG4bKaccount\r\n' +
+      'Max-Forwards: 69\r\n' +
+      'To: <sip:bob@example.org>\r\n' +
+      'From: <sip:alice@example.org>;tag=1234\r\n' +
+      'Call-ID: account-options\r\n' +
+      'CSeq: 1 OPTIONS\r\n' +
+      'Content-Length: 0\r\n\r\n');
+    test.strictEqual(received.length, 1);
+    test.strictEqual(received[0].account, account);
+
+    // MESSAGE and OPTIONS sent on behalf of the account.
+    const last = () => socket.sent[socket.sent.length - 1];
+
+    ua.sendMessage('sip:alice@example.org', 'hi', { account: 'bob' });
+    test.ok(/^MESSAGE sip:alice@example\.org SIP\/2\.0/.test(last()));
+    test.ok(/^From: "Bob" <sip:bob@example\.org>;tag=/m.test(last()));
+
+    // The account credentials answer the challenge.
+    reply(socket, '407 Proxy Authentication Required',
+      [ 'Proxy-Authenticate: Digest realm="example.org", nonce="abcd"' ]);
+    test.ok(/^MESSAGE /.test(last()));
+    test.ok(/^Proxy-Authorization: Digest .*username="bob"/m.test(last()));
+
+    ua.sendOptions('sip:alice@example.org', null, { account });
+    test.ok(/^OPTIONS sip:alice@example\.org SIP\/2\.0/.test(last()));
+    test.ok(/^From: "Bob" <sip:bob@example\.org>;tag=/m.test(last()));
+
+    test.throws(() => ua.sendMessage('sip:alice@example.org', 'hi', { account: 'eve' }),
+      TypeError);
+
+    ua.stop();
+    test.done();
+  },
+
+  'Registrator bindings' : function(test)
+  {
+    const socket = new FakeSocket('edge.jssip.net');
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets  : socket,
+      register : false
+    }));
+    const registrator = ua.registrator();
+    const contacts = [
+      '<sip:a@1.2.3.4>;expires=300;q=0.5;+sip.instance="<urn:uuid:00000000-0000-0000-0000-000000000001>";reg-id=1',
+      '<sip:b@5.6.7.8>;expires=600'
+    ];
+    // Contacts in the 200 response to every REGISTER.
+    const responses = [ contacts, contacts, [ contacts[1] ] ];
+    const send = socket.send.bind(socket);
+
+    socket.send = (data) =>
+    {
+      const response_contacts = responses.shift()
+        .map((contact) => `Contact: ${contact}`);
+
+      setTimeout(() => reply(socket, '200 OK', response_contacts));
+
+      return send(data);
+    };
+
+    ua.start();
+
+    registrator.fetchBindings()
+      .then((bindings) =>
+      {
+        // Query without Contact.
+        test.ok(!/^Contact:/m.test(socket.sent[0]));
+
+        test.strictEqual(bindings.length, 2);
+        test.strictEqual(bindings[0].uri.toString(), 'sip:a@1.2.3.4');
+        test.strictEqual(bindings[0].expires, 300);
+        test.strictEqual(bindings[0].q, 0.5);
+        test.strictEqual(bindings[0].instance_id, 'urn:uuid:00000000-0000-0000-0000-000000000001');
+        test.strictEqual(bindings[0].reg_id, 1);
+        test.strictEqual(bindings[0].own, false);
+        test.strictEqual(bindings[1].expires, 600);
+        test.strictEqual(bindings[1].instance_id, null);
+
+        // The bindings are queried again to get the Contacts of the instance.
+        return registrator.removeBinding('<urn:uuid:00000000-0000-0000-0000-000000000001>');
+      })
+      .then((bindings) =>
+      {
+        test.strictEqual(socket.sent.length, 3);
+        test.ok(/^Contact: <sip:a@1\.2\.3\.4>;expires=0\r$/m.test(socket.sent[2]));
+        test.strictEqual(bindings.length, 1);
+
+        return registrator.removeBinding('lalala@');
+      })
+      .catch((error) =>
+      {
+        test.ok(error instanceof TypeError);
+        test.strictEqual(socket.sent.length, 3);
+
+        ua.stop();
+        test.done();
+      });
+  },
+
+  'Registrator retry' : function(test)
+  {
+    const socket = new FakeSocket('edge.jssip.net');
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets                     : socket,
+      register_retry              : true,
+      register_retry_min_interval : 1
+    }));
+    const retries = [];
+
+    ua.on('registrationRetry', (e) => retries.push(e));
+
+    ua.start();
+    ua.register();
+
+    // Retry-After is honored.
+    reply(socket, '503 Service Unavailable', [ 'Retry-After: 0' ]);
+    test.strictEqual(retries.length, 1);
+    test.strictEqual(retries[0].attempts, 1);
+    test.strictEqual(retries[0].delay, 0);
+    test.ok(retries[0].retry_at instanceof Date);
+    test.strictEqual(retries[0].response.status_code, 503);
+
+    setTimeout(() =>
+    {
+      test.strictEqual(socket.sent.length, 2);
+
+      // No retry on authentication failures.
+      reply(socket, '403 Forbidden');
+      test.strictEqual(retries.length, 1);
+
+      // Exponential backoff otherwise.
+      ua.register();
+      reply(socket, '500 Server Internal Error');
+      test.strictEqual(retries.length, 2);
+      test.strictEqual(retries[1].attempts, 2);
+      test.ok(retries[1].delay >= 1 && retries[1].delay <= 2);
+
+      // Stopping cancels the pending retry.
+      ua.stop();
+      test.strictEqual(socket.sent.length, 3);
+      test.done();
+    }, 20);
+  },
+
+  'Registrator Service-Route' : function(test)
+  {
+    const socket = new FakeSocket('edge.jssip.net');
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets : socket
+    }));
+
+    ua.start();
+    ua.register();
+
+    test.ok(/^Supported: .*path/m.test(socket.sent[0]));
+
+    const contact = socket.sent[0].match(/^Contact: .*$/m)[0]
+      .replace(/;expires=\d+/, '');
+
+    reply(socket, '200 OK', [
+      `${contact};expires=600`,
+      'Service-Route: <sip:orig@scscf1.example.org;lr>, <sip:scscf2.example.org;lr>'
+    ]);
+
+    test.ok(ua.isRegistered());
+    test.deepEqual(ua.registrator().service_route,
+      [ '<sip:orig@scscf1.example.org;lr>', '<sip:scscf2.example.org;lr>' ]);
+
+    // Used as Route set of out-of-dialog requests, after the preloaded Route.
+    ua.sendOptions('sip:bob@example.org');
+    test.ok(socket.sent[1].indexOf('\r\nRoute: <sip:edge.jssip.net;transport=ws;lr>\r\n' +
+      'Route: <sip:orig@scscf1.example.org;lr>\r\n' +
+      'Route: <sip:scscf2.example.org;lr>\r\n') !== -1);
+
+    // Cleared on unregister.
+    ua.unregister();
+    test.deepEqual(ua.registrator().service_route, []);
+    test.ok(/^Route: <sip:edge\.jssip\.net;transport=ws;lr>\r$/m.test(socket.sent[2]));
+
+    ua.sendOptions('sip:bob@example.org');
+    test.ok(/^Route: <sip:edge\.jssip\.net;transport=ws;lr>\r$/m.test(socket.sent[3]));
+
+    ua.stop();
+    test.done();
+  },
+
+  'Registrator state' : function(test)
+  {
+    const socket = new FakeSocket('edge.jssip.net');
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets : socket
+    }));
+    let state = null;
+
+    ua.on('registered', (e) => { state = e.state; });
+
+    ua.start();
+    ua.register();
+
+    test.strictEqual(ua.registrator().state, null);
+
+    const contact = socket.sent[0].match(/^Contact: .*$/m)[0]
+      .replace(/;expires=\d+/, '');
+
+    reply(socket, '200 OK', [
+      `${contact};expires=300;pub-gruu="sip:fakeUA@jssip.net;gr=urn:uuid:1234"`,
+      'Contact: <sip:other@1.2.3.4>;expires=100',
+      'P-Associated-URI: <sip:fakeUA@jssip.net>, <tel:+1234>',
+      'P-Associated-URI: "Fake" <sip:alias@jssip.net>'
+    ]);
+
+    test.ok(state);
+    test.strictEqual(state, ua.registrator().state);
+    test.strictEqual(state.expires, 300);
+    test.deepEqual(state.associated_uris, [ 'sip:fakeUA@jssip.net', 'tel:+1234', 'sip:alias@jssip.net' ]);
+    test.strictEqual(state.pub_gruu, 'sip:fakeUA@jssip.net;gr=urn:uuid:1234');
+    test.strictEqual(state.temp_gruu, null);
+    test.deepEqual(state.bindings.map((binding) => [ binding.expires, binding.own ]),
+      [ [ 300, true ], [ 100, false ] ]);
+
+    ua.unregister();
+    test.strictEqual(ua.registrator().state, null);
+
+    ua.stop();
+    test.done();
+  },
+
+  'UA GRUU Contact' : function(test)
+  {
+    const socket = new FakeSocket('edge.jssip.net');
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets      : socket,
+      contact_gruu : 'temporary'
+    }));
+    const temp_gruu = 'sip:tgruu.7hs-jd7vnzga5w7fajsc7@jssip.net;gr';
+    const received = [];
+
+    ua.on('newOptions', (e) => received.push(e.request));
+
+    ua.start();
+    ua.register();
+
+    const contact = socket.sent[0].match(/^Contact: .*$/m)[0]
+      .replace(/;expires=\d+/, '');
+
+    reply(socket, '200 OK', [
+      `${contact};expires=300;pub-gruu="sip:fakeUA@jssip.net;gr=urn:uuid:1234"` +
+        `;temp-gruu="${temp_gruu}"`
+    ]);
+
+    // The temporary GRUU is used as Contact, without 'ob'.
+    test.strictEqual(ua.contact.toString({ outbound: true }), `<${temp_gruu}>`);
+
+    // Requests to the GRUU are not rejected.
+    socket.ondata(
+      `OPTIONS ${temp_gruu} SIP/2.0\r\n` +
+      'Via: SIP/2.0/WSS 1.2.3.4;branch=z9hG4bKgruu\r\n' +
+      'Max-Forwards: 69\r\n' +
+      'To: <sip:fakeUA@jssip.net>\r\n' +
+      'From: <sip:alice@example.org>;tag=1234\r\n' +
+      'Call-ID: gruu-options\r\n' +
+      'CSeq: 1 OPTIONS\r\n' +
+      'Content-Length: 0\r\n\r\n');
+    test.strictEqual(received.length, 1);
+
+    // But requests to other GRUUs are.
+    socket.ondata(
+      'OPTIONS sip:tgruu.other@jssip.net;gr SIP/2.0\r\n' +
+      'Via: SIP/2.0/WSS 1.2.3.4;branch=z9hG4bKgruu2\r\n' +
+      'Max-Forwards: 69\r\n' +
+      'To: <sip:fakeUA@jssip.net>\r\n' +
+      'From: <sip:alice@example.org>;tag=1234\r\n' +
+      'Call-ID: gruu-options-2\r\n' +
+      'CSeq: 1 OPTIONS\r\n' +
+      'Content-Length: 0\r\n\r\n');
+    test.strictEqual(received.length, 1);
+    test.ok(/^SIP\/2\.0 404/.test(socket.sent[socket.sent.length - 1]));
+
+    ua.stop();
+    test.done();
+  },
+
+  'UA credentials provider' : function(test)
+  {
+    const socket = new FakeSocket('edge.jssip.net');
+    const challenges = [];
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets              : socket,
+      credentials_provider : (realm, digest_challenge, request) =>
+      {
+        challenges.push({ realm, challenge: digest_challenge, method: request.method });
+
+        // Provide credentials for REGISTER only.
+        if (request.method !== JsSIP.C.REGISTER)
+        {
+          return Promise.resolve(null);
+        }
+
+        return Promise.resolve({ authorization_user: 'token-user', password: 'token' });
+      }
+    }));
+    let failed = null;
+
+    // Challenge the last sent request.
+    function challenge()
+    {
+      reply(socket, '401 Unauthorized',
+        [ 'WWW-Authenticate: Digest realm="jssip.net", nonce="1234", qop="auth"' ]);
+    }
+
+    ua.start();
+    ua.register();
+    challenge();
+
+    // Not answered until the provider resolves.
+    test.strictEqual(socket.sent.length, 1);
+
+    setTimeout(() =>
+    {
+      test.strictEqual(challenges.length, 1);
+      test.strictEqual(challenges[0].realm, 'jssip.net');
+      test.strictEqual(challenges[0].challenge.nonce, '1234');
+      test.strictEqual(challenges[0].method, JsSIP.C.REGISTER);
+      test.strictEqual(socket.sent.length, 2);
+      test.ok(/^Authorization: Digest .*username="token-user"/m.test(socket.sent[1]));
+      test.ok(/^CSeq: 2 REGISTER/m.test(socket.sent[1]));
+
+      // The provided credentials are not stored.
+      test.strictEqual(ua.get('ha1'), null);
+
+      // Fail the request if no credentials are provided.
+      ua.sendMessage('sip:bob@example.org', 'hi', {
+        eventHandlers : { failed: (e) => { failed = e; } }
+      });
+      challenge();
+
+      setTimeout(() =>
+      {
+        test.strictEqual(challenges.length, 2);
+        test.strictEqual(challenges[1].method, JsSIP.C.MESSAGE);
+        test.strictEqual(socket.sent.length, 3);
+        test.ok(failed);
+        test.strictEqual(failed.cause, JsSIP.C.causes.AUTHENTICATION_ERROR);
+
+        ua.stop();
+        test.done();
+      }, 10);
+    }, 10);
+  },
+
+  'UA preemptive authentication' : function(test)
+  {
+    const socket = new FakeSocket('edge.jssip.net');
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets : socket
+    }));
+    const authorization = (request) =>
+    {
+      const header = request.match(/^Authorization: .*$/m);
+
+      return header && header[0];
+    };
+
+    ua.start();
+    ua.register();
+    test.strictEqual(authorization(socket.sent[0]), null);
+
+    reply(socket, '401 Unauthorized',
+      [ 'WWW-Authenticate: Digest realm="jssip.net", nonce="1234", qop="auth"' ]);
+    test.ok(/nonce="1234".*nc=00000001/.test(authorization(socket.sent[1])));
+
+    reply(socket, '200 OK');
+
+    // Next requests reuse the accepted nonce.
+    ua.sendMessage('sip:bob@jssip.net', 'hi');
+    test.ok(/nonce="1234".*nc=00000002/.test(authorization(socket.sent[2])));
+    test.ok(/uri="sip:bob@jssip\.net"/.test(authorization(socket.sent[2])));
+
+    // Normal challenge flow once the nonce is stale.
+    reply(socket, '401 Unauthorized',
+      [ 'WWW-Authenticate: Digest realm="jssip.net", nonce="5678", qop="auth", stale=true' ]);
+    test.strictEqual(socket.sent.length, 4);
+    test.ok(/nonce="5678".*nc=00000001/.test(authorization(socket.sent[3])));
+
+    reply(socket, '200 OK');
+
+    ua.sendMessage('sip:bob@jssip.net', 'hi');
+    test.ok(/nonce="5678".*nc=00000002/.test(authorization(socket.sent[4])));
+
+    // Not cached if rejected.
+    reply(socket, '401 Unauthorized',
+      [ 'WWW-Authenticate: Digest realm="jssip.net", nonce="9012", qop="auth"' ]);
+    test.ok(/nonce="9012".*nc=00000001/.test(authorization(socket.sent[5])));
+    reply(socket, '403 Forbidden');
+
+    ua.sendMessage('sip:bob@jssip.net', 'hi');
+    test.strictEqual(authorization(socket.sent[6]), null);
+
+    ua.stop();
+    test.done();
+  },
+
+  'UA multiple challenges' : function(test)
+  {
+    const socket = new FakeSocket('edge.jssip.net');
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets : socket
+    }));
+    const headers = (request, name) => (request.match(new RegExp(`^${name}: .*$`, 'gm')) || []);
+
+    ua.start();
+    ua.sendMessage('sip:bob@jssip.net', 'hi');
+
+    // Two proxies and the destination, one of them offering two algorithms.
+    reply(socket, '407 Proxy Authentication Required', [
+      'Proxy-Authenticate: Digest realm="proxy1.jssip.net", nonce="1111", qop="auth"',
+      'Proxy-Authenticate: Digest realm="proxy1.jssip.net", nonce="2222", qop="auth", algorithm=SHA-256',
+      'Proxy-Authenticate: Digest realm="proxy2.jssip.net", nonce="3333"',
+      'WWW-Authenticate: Digest realm="jssip.net", nonce="4444", qop="auth"'
+    ]);
+
+    const proxy_authorizations = headers(socket.sent[1], 'Proxy-Authorization');
+    const authorizations = headers(socket.sent[1], 'Authorization');
+
+    test.strictEqual(proxy_authorizations.length, 2);
+    test.ok(/algorithm=SHA-256, .*realm="proxy1\.jssip\.net", nonce="2222"/.test(proxy_authorizations[0]));
+    test.ok(/algorithm=MD5, .*realm="proxy2\.jssip\.net", nonce="3333"/.test(proxy_authorizations[1]));
+    test.strictEqual(authorizations.length, 1);
+    test.ok(/realm="jssip\.net", nonce="4444"/.test(authorizations[0]));
+
+    // No single ha1 to store.
+    test.strictEqual(ua.get('ha1'), null);
+
+    reply(socket, '200 OK');
+
+    // All of them reused preemptively.
+    ua.sendMessage('sip:bob@jssip.net', 'hi');
+    test.strictEqual(headers(socket.sent[2], 'Proxy-Authorization').length, 2);
+    test.strictEqual(headers(socket.sent[2], 'Authorization').length, 1);
+
+    ua.stop();
+    test.done();
+  },
+
+  'UA multiple challenges after a single one' : function(test)
+  {
+    const socket = new FakeSocket('edge.jssip.net');
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets : socket
+    }));
+    const headers = (request, name) => (request.match(new RegExp(`^${name}: .*$`, 'gm')) || []);
+
+    ua.start();
+    ua.register();
+
+    // A single realm, its ha1 is stored.
+    reply(socket, '401 Unauthorized',
+      [ 'WWW-Authenticate: Digest realm="jssip.net", nonce="1234", qop="auth"' ]);
+
+    const register = socket.sent[1];
+
+    reply(socket, '200 OK', [ register.match(/^Contact: .*$/m)[0] ]);
+    test.ok(ua.isRegistered());
+    test.strictEqual(ua.get('realm'), 'jssip.net');
+    test.ok(ua.get('ha1'));
+
+    // The plain password is still there for other realms.
+    ua.sendMessage('sip:bob@jssip.net', 'hi');
+    reply(socket, '407 Proxy Authentication Required', [
+      'Proxy-Authenticate: Digest realm="proxy1.jssip.net", nonce="1111"',
+      'Proxy-Authenticate: Digest realm="proxy2.jssip.net", nonce="2222"'
+    ]);
+
+    const proxy_authorizations =
+      headers(socket.sent[socket.sent.length - 1], 'Proxy-Authorization');
+
+    test.strictEqual(proxy_authorizations.length, 2);
+    test.ok(/realm="proxy1\.jssip\.net", nonce="1111"/.test(proxy_authorizations[0]));
+    test.ok(/realm="proxy2\.jssip\.net", nonce="2222"/.test(proxy_authorizations[1]));
+
+    ua.stop();
+    test.done();
+  },
+
+  'UA Bearer authentication' : function(test)
+  {
+    const socket = new FakeSocket('edge.jssip.net');
+    const tokens = [
+      { access_token: 'token1', expires_in: 0.1 },
+      { access_token: 'token2', expires_in: 3600 },
+      'token3'
+    ];
+    const requested = [];
+    const ua = new JsSIP.UA(Object.assign({}, testUA.UA_CONFIGURATION, {
+      sockets        : socket,
+      token_provider : (bearer_challenge, request) =>
+      {
+        requested.push({ challenge: bearer_challenge, request });
+
+        return Promise.resolve(tokens.shift());
+      }
+    }));
+    const authorization = (request) =>
+    {
+      const header = request.match(/^Authorization: .*$/m);
+
+      return header && header[0];
+    };
+    let failed = null;
+    let expiring = 0;
+
+    // The application is in charge of the refresh.
+    ua.on('registrationExpiring', () =>
+    {
+      expiring += 1;
+      ua.register();
+    });
+
+    ua.start();
+    ua.register();
+
+    reply(socket, '401 Unauthorized', [
+      'WWW-Authenticate: Bearer realm="jssip.net", scope="sip:jssip.net", ' +
+        'authz_server="https://auth.jssip.net"',
+      'WWW-Authenticate: Digest realm="jssip.net", nonce="1234"'
+    ]);
+
+    setTimeout(() =>
+    {
+      // Bearer preferred over Digest.
+      test.strictEqual(requested.length, 1);
+      test.strictEqual(requested[0].challenge.scheme, 'Bearer');
+      test.strictEqual(requested[0].challenge.realm, 'jssip.net');
+      test.strictEqual(requested[0].challenge.scope, 'sip:jssip.net');
+      test.strictEqual(requested[0].challenge.authz_server, 'https://auth.jssip.net');
+      test.strictEqual(requested[0].request.method, JsSIP.C.REGISTER);
+      test.strictEqual(authorization(socket.sent[1]), 'Authorization: Bearer token1');
+
+      // The token refresh waits at least MIN_REGISTER_EXPIRES, shorten it here.
+      const registrator = ua.registrator();
+      const getTokenRefreshTimeout =
+        registrator._getTokenRefreshTimeout.bind(registrator);
+      let token_timeout;
+
+      registrator._getTokenRefreshTimeout = (auths) =>
+      {
+        delete registrator._getTokenRefreshTimeout;
+        token_timeout = getTokenRefreshTimeout(auths);
+
+        return 50;
+      };
+      reply(socket, '200 OK', [ `${socket.sent[1].match(/^Contact: .*$/m)[0]}` ]);
+      test.ok(ua.isRegistered());
+      test.strictEqual(token_timeout, 10000);
+
+      // The token is refreshed, and the registration with it, before it expires.
+      setTimeout(() =>
+      {
+        test.strictEqual(expiring, 1);
+        test.strictEqual(requested.length, 2);
+        test.strictEqual(requested[1].request, null);
+        test.strictEqual(socket.sent.length, 3);
+        test.ok(/^REGISTER /.test(socket.sent[2]));
+        test.strictEqual(authorization(socket.sent[2]), 'Authorization: Bearer token2');
+
+        // Used in later requests.
+        ua.sendMessage('sip:bob@jssip.net', 'hi', {
+          eventHandlers : { failed: (e) => { failed = e; } }
+        });
+        test.strictEqual(authorization(socket.sent[3]), 'Authorization: Bearer token2');
+
+        // Retried once with a new token if rejected.
+        reply(socket, '401 Unauthorized',
+          [ 'WWW-Authenticate: Bearer realm="jssip.net", error="invalid_token"' ]);
+
+        setTimeout(() =>
+        {
+          test.strictEqual(requested.length, 3);
+          test.strictEqual(requested[2].challenge.error, 'invalid_token');
+          test.strictEqual(authorization(socket.sent[4]), 'Authorization: Bearer token3');
+
+          reply(socket, '401 Unauthorized',
+            [ 'WWW-Authenticate: Bearer realm="jssip.net", error="invalid_token"' ]);
+          test.strictEqual(requested.length, 3);
+          test.ok(failed);
+          test.strictEqual(failed.cause, JsSIP.C.causes.AUTHENTICATION_ERROR);
+
+          ua.stop();
+          test.done();
+        }, 10);
+      }, 100);
+    }, 10);
   }
 
 };
@@ -157,6 +157,138 @@ module.exports = {
 
     test.strictEqual(digest._response, '7bf0e9de3fbb5da121974509d617f532');
 
+    test.done();
+  },
+
+  'digest authenticate SHA-256 -RFC 7616-' : function(test)
+  {
+    const method = 'GET';
+    const ruri = '/dir/index.html';
+    const cnonce = 'f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ';
+    const credentials =
+    {
+      username : 'Mufasa',
+      password : 'Circle of Life',
+      realm    : null,
+      ha1      : null
+    };
+    const challenge =
+    {
+      algorithm : 'SHA-256',
+      realm     : 'http-auth@example.org',
+      nonce     : '7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v',
+      opaque    : 'FQhe/qaU925kfnzjCev0ciny7QMkPqMAFRtzCUYo5tdS',
+      stale     : null,
+      qop       : [ 'auth' ]
+    };
+
+    const digest = new DigestAuthentication(credentials);
+
+    test.ok(digest.authenticate({ method, ruri }, challenge, cnonce));
+    test.strictEqual(digest._response,
+      '753927fa0e85d155564e2e272a28d1802ca10daf4496794697cf8db5856cb6c1');
+    test.ok(/^Digest algorithm=SHA-256, /.test(digest.toString()));
+    test.deepEqual(digest.get('ha1'),
+      { 'SHA-256': '7987c64c30e25f1b74be53f966b49b90f2808aa92faf9a00262392d7b4794232' });
+
+    test.done();
+  },
+
+  'digest authenticate SHA-512-256-sess with ha1' : function(test)
+  {
+    const method = 'GET';
+    const ruri = '/dir/index.html';
+    const cnonce = 'f2/wE4q74E6zIJEtWaHKaf5wv/H5QzzpXusqGemxURZJ';
+    const credentials =
+    {
+      username : 'Mufasa',
+      password : null,
+      realm    : 'http-auth@example.org',
+      ha1      :
+      {
+        'MD5'         : '3d78807defe7de2157e2b0b6573a855f',
+        'SHA-512-256' : 'fb174f5c3c7802721517cae13b98e2b8dae2e0118cb705d94ee29946319204ce'
+      }
+    };
+    const challenge =
+    {
+      algorithm : 'SHA-512-256-SESS',
+      realm     : 'http-auth@example.org',
+      nonce     : '7ypf/xlj9XXwfDPEoM4URrv/xwf94BcCAzFZH4GiTo0v',
+      opaque    : null,
+      stale     : null,
+      qop       : [ 'auth' ]
+    };
+
+    const digest = new DigestAuthentication(credentials);
+
+    test.ok(digest.authenticate({ method, ruri }, challenge, cnonce));
+    test.strictEqual(digest._response,
+      '3f2a34f923c38b0fb26dce2fdfc2ce326c23cecf86fbb1444f3e51fbbc2cb92e');
+    test.ok(/^Digest algorithm=SHA-512-256-sess, /.test(digest.toString()));
+
+    // No SHA-256 ha1.
+    challenge.algorithm = 'SHA-256';
+    test.ok(!new DigestAuthentication(credentials)
+      .authenticate({ method, ruri }, challenge));
+
+    test.done();
+  },
+
+  'digest strongest challenge' : function(test)
+  {
+    const challenges = [ 'MD5', 'SHA-512-256', 'SHA-256', 'FOO' ].map((algorithm) => (
+      { algorithm, realm: 'jssip.net', nonce: '1234' }));
+
+    test.strictEqual(DigestAuthentication.getStrongestChallenge(
+      challenges, { password: '1234' }), challenges[1]);
+
+    // Just the algorithms we have ha1 for.
+    test.strictEqual(DigestAuthentication.getStrongestChallenge(
+      challenges, { ha1: '3d78807defe7de2157e2b0b6573a855f' }), challenges[0]);
+    test.strictEqual(DigestAuthentication.getStrongestChallenge(
+      challenges, { ha1: { 'SHA-256': '1234' } }), challenges[2]);
+    test.strictEqual(DigestAuthentication.getStrongestChallenge(
+      challenges.slice(3), { password: '1234' }), null);
+
+    test.done();
+  },
+
+  'digest authenticate preemptively' : function(test)
+  {
+    const ruri = 'sip:testrealm@host.com';
+    const credentials =
+    {
+      username : 'testuser',
+      password : 'testpassword',
+      realm    : 'testrealm@host.com',
+      ha1      : null
+    };
+    const challenge =
+    {
+      realm : 'testrealm@host.com',
+      nonce : '5a071f75353f667787615249c62dcc7b15a4828f',
+      qop   : 'auth'
+    };
+    const digest = new DigestAuthentication(credentials);
+
+    // Nothing to reuse yet.
+    test.ok(!digest.authenticatePreemptively({ method: 'MESSAGE', ruri }));
+
+    test.ok(digest.authenticate({ method: 'REGISTER', ruri }, challenge));
+    test.ok(/nc=00000001/.test(digest.toString()));
+
+    // Same nonce, next nonce count.
+    test.ok(digest.authenticatePreemptively({ method: 'MESSAGE', ruri }, '0a4f113b'));
+    test.ok(/nonce="5a071f75353f667787615249c62dcc7b15a4828f"/.test(digest.toString()));
+    test.ok(/nc=00000002/.test(digest.toString()));
+    test.ok(/uri="sip:testrealm@host\.com"/.test(digest.toString()));
+
+    // Back to 1 with a new nonce.
+    test.ok(digest.authenticate({ method: 'MESSAGE', ruri },
+      Object.assign({}, challenge, { nonce: '1234', stale: true })));
+    test.ok(/nc=00000001/.test(digest.toString()));
+
     test.done();
   }
 };
@@ -1,5 +1,6 @@
 require('./include/common');
 const JsSIP = require('../');
+const Parser = require('../lib/Parser.js');
 
 
 module.exports = {
@@ -410,6 +411,72 @@ module.exports = {
     test.strictEqual(parsed.to_tag, '03aq91cl9n');
     test.strictEqual(parsed.from_tag, 'kun98clbf7');
 
+    test.done();
+  },
+
+  'reassemble stream messages' : function(test)
+  {
+    const reassembler = new Parser.StreamReassembler();
+    const decode = (message) => Buffer.from(message).toString();
+    const message1 = 'MESSAGE sip:alice@jssip.net SIP/2.0\r\nl: 7\r\n\r\nÑandú';
+    const message2 = 'SIP/2.0 200 OK\r\nContent-Length:   0\r\n\r\n';
+    let keepalives = 0;
+
+    reassembler.onkeepalive = () => { keepalives++; };
+
+    // Partial message.
+    test.deepEqual(reassembler.feed(message1.substr(0, 20)), []);
+    test.deepEqual(reassembler.feed(Buffer.from(message1.substr(20, 26))), []);
+
+    // End of the first message, a keep-alive and a pipelined message.
+    const messages = reassembler.feed(`${message1.substr(46)}\r\n\r\n${message2}`);
+
+    test.strictEqual(messages.length, 2);
+    test.strictEqual(decode(messages[0]), message1);
+    test.strictEqual(decode(messages[1]), message2);
+    test.strictEqual(keepalives, 1);
+
+    // Lonely keep-alive pong.
+    test.deepEqual(reassembler.feed('\r\n'), []);
+    test.strictEqual(keepalives, 2);
+
+    test.done();
+  },
+
+  'reassemble stream messages with invalid framing' : function(test)
+  {
+    const reassembler = new Parser.StreamReassembler({ max_message_size: 64 });
+
+    test.strictEqual(reassembler.feed('SIP/2.0 200 OK\r\nContent-Length: 100\r\n\r\n'), null);
+    test.strictEqual(reassembler.feed('SIP/2.0 200 OK\r\nContent-Length: foo\r\n\r\n'), null);
+    test.strictEqual(reassembler.feed('x'.repeat(65)), null);
+    test.deepEqual(reassembler.feed('SIP/2.0 200 OK\r\n\r\n').length, 1);
+
+    test.done();
+  },
+
+  'reassemble stream messages in small and large chunks' : function(test)
+  {
+    const reassembler = new Parser.StreamReassembler({ max_message_size: 4096 });
+    const body = 'x'.repeat(3000);
+    const message = `MESSAGE sip:alice@jssip.net SIP/2.0\r\nContent-Length: ${body.length}\r\n\r\n${body}`;
+    let messages = [];
+
+    // Byte by byte.
+    for (const byte of Buffer.from(message))
+    {
+      messages = messages.concat(reassembler.feed(Buffer.from([ byte ])));
+    }
+
+    test.strictEqual(messages.length, 1);
+    test.strictEqual(Buffer.from(messages[0]).toString(), message);
+
+    // Pipelined messages bigger than the maximum size altogether.
+    messages = reassembler.feed(message.repeat(3));
+    test.strictEqual(messages.length, 3);
+    test.ok(messages.every((m) => Buffer.from(m).toString() === message));
+    test.ok(reassembler._buffer.length <= 2 * 4097);
+
     test.done();
   }
 };
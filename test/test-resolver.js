@@ -0,0 +1,153 @@
+require('./include/common');
+const JsSIP = require('../');
+
+function createDns(records)
+{
+  const query = (type) => (name) =>
+  {
+    const result = records[`${type} ${name}`];
+
+    if (!result)
+    {
+      const error = new Error(`${type} ${name} not found`);
+
+      error.code = 'ENOTFOUND';
+
+      return Promise.reject(error);
+    }
+
+    return Promise.resolve(result);
+  };
+
+  return {
+    resolveNaptr : query('NAPTR'),
+    resolveSrv   : query('SRV'),
+    resolve4     : query('A'),
+    resolve6     : query('AAAA')
+  };
+}
+
+const DNS = {
+  'NAPTR jssip.net' : [
+    { flags: 's', service: 'SIP+D2U', regexp: '', replacement: '_sip._udp.jssip.net', order: 20, preference: 0 },
+    { flags: 's', service: 'SIPS+D2T', regexp: '', replacement: '_sips._tcp.jssip.net', order: 10, preference: 0 },
+    { flags: 's', service: 'SIP+D2W', regexp: '', replacement: '_sip._ws.jssip.net', order: 5, preference: 0 }
+  ],
+  'SRV _sips._tcp.jssip.net' : [
+    { name: 'edge2.jssip.net', port: 5071, priority: 20, weight: 0 },
+    { name: 'edge1.jssip.net', port: 5061, priority: 10, weight: 0 }
+  ],
+  'SRV _sip._udp.jssip.net' : [
+    { name: 'edge1.jssip.net', port: 5060, priority: 10, weight: 0 }
+  ],
+  'SRV _sip._tcp.example.com' : [
+    { name: 'sip.example.com', port: 5080, priority: 0, weight: 10 }
+  ],
+  'A edge1.jssip.net' : [ '192.0.2.1' ],
+  'A edge2.jssip.net' : [ '192.0.2.2' ],
+  'A sip.example.com' : [ '198.51.100.1' ],
+  'A example.org'     : [ '203.0.113.1' ]
+};
+
+module.exports = {
+
+  'NAPTR, SRV and A resolution' : function(test)
+  {
+    const resolver = new JsSIP.SipResolver({ dns: createDns(DNS) });
+
+    resolver.resolve('sip:jssip.net')
+      .then((targets) =>
+      {
+        test.deepEqual(targets, [
+          { transport: 'tls', host: '192.0.2.1', port: 5061, name: 'edge1.jssip.net' },
+          { transport: 'tls', host: '192.0.2.2', port: 5071, name: 'edge2.jssip.net' },
+          { transport: 'udp', host: '192.0.2.1', port: 5060, name: 'edge1.jssip.net' }
+        ]);
+
+        return resolver.resolve('sips:jssip.net');
+      })
+      .then((targets) =>
+      {
+        test.strictEqual(targets.length, 2);
+        test.ok(targets.every((target) => target.transport === 'tls'));
+        test.done();
+      });
+  },
+
+  'SRV resolution without NAPTR records' : function(test)
+  {
+    const resolver = new JsSIP.SipResolver({ dns: createDns(DNS) });
+
+    resolver.resolve('sip:example.com')
+      .then((targets) =>
+      {
+        test.deepEqual(targets, [
+          { transport: 'tcp', host: '198.51.100.1', port: 5080, name: 'sip.example.com' }
+        ]);
+        test.done();
+      });
+  },
+
+  'A resolution with explicit port, transport or IP address' : function(test)
+  {
+    const resolver = new JsSIP.SipResolver({ dns: createDns(DNS) });
+
+    resolver.resolve('sip:example.org:5070')
+      .then((targets) =>
+      {
+        test.deepEqual(targets, [
+          { transport: 'udp', host: '203.0.113.1', port: 5070, name: 'example.org' }
+        ]);
+
+        return resolver.resolve('sip:example.org;transport=tcp');
+      })
+      .then((targets) =>
+      {
+        test.deepEqual(targets, [
+          { transport: 'tcp', host: '203.0.113.1', port: 5060, name: 'example.org' }
+        ]);
+
+        return resolver.resolve('sips:192.0.2.9');
+      })
+      .then((targets) =>
+      {
+        test.deepEqual(targets, [
+          { transport: 'tls', host: '192.0.2.9', port: 5061, name: '192.0.2.9' }
+        ]);
+
+        return resolver.resolve('sip:unknown.jssip.net');
+      })
+      .then((targets) =>
+      {
+        test.deepEqual(targets, []);
+        test.done();
+      });
+  },
+
+  'weighted sockets' : function(test)
+  {
+    const resolver = new JsSIP.SipResolver({ dns: createDns(DNS) });
+
+    resolver.getSockets('sips:jssip.net')
+      .then((sockets) =>
+      {
+        test.strictEqual(sockets.length, 2);
+        test.ok(sockets[0].socket instanceof JsSIP.TlsSocket);
+        test.strictEqual(sockets[0].socket.url, 'tls://192.0.2.1:5061');
+        test.strictEqual(sockets[1].socket.url, 'tls://192.0.2.2:5071');
+
+        // The SIP domain, not the SRV target.
+        test.strictEqual(sockets[0].socket._options.servername, 'jssip.net');
+        test.strictEqual(sockets[1].socket._options.servername, 'jssip.net');
+        test.ok(sockets[0].weight > sockets[1].weight);
+
+        return resolver.getSockets('sip:unknown.jssip.net');
+      })
+      .catch((error) =>
+      {
+        test.ok(/No SIP server found/.test(error.message));
+        test.done();
+      });
+  }
+
+};
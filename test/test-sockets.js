@@ -0,0 +1,287 @@
+require('./include/common');
+const net = require('net');
+const dgram = require('dgram');
+const JsSIP = require('../');
+
+/**
+ * Fake WebSocket implementation recording the constructor arguments.
+ */
+class FakeWebSocket
+{
+  constructor(...args)
+  {
+    const [ url, protocols, options ] = args;
+
+    this.args = args;
+    this.url = url;
+    this.protocols = protocols;
+    this.options = options;
+    this.OPEN = 1;
+    this.CONNECTING = 0;
+    this.readyState = this.CONNECTING;
+    this.protocol = '';
+    this.closed = false;
+    FakeWebSocket.last = this;
+  }
+
+  // Simulate the end of the handshake.
+  open(protocol)
+  {
+    this.readyState = this.OPEN;
+    this.protocol = protocol;
+    this.onopen();
+  }
+
+  close()
+  {
+    this.closed = true;
+  }
+}
+
+module.exports = {
+
+  'WebSocketInterface with custom WebSocket and handshake options' : function(test)
+  {
+    const agent = {};
+    const socket = new JsSIP.WebSocketInterface('wss://sip.jssip.net/ws', {
+      WebSocket  : FakeWebSocket,
+      protocols  : [ 'sip', 'x-token' ],
+      headers    : { 'Authorization': 'Bearer 1234' },
+      agent,
+      ws_options : { rejectUnauthorized: false }
+    });
+    let connected = false;
+
+    socket.onconnect = () => { connected = true; };
+    socket.connect();
+
+    const ws = FakeWebSocket.last;
+
+    test.strictEqual(ws.url, 'wss://sip.jssip.net/ws');
+    test.deepEqual(ws.protocols, [ 'sip', 'x-token' ]);
+    test.deepEqual(ws.options.headers, { 'Authorization': 'Bearer 1234' });
+    test.strictEqual(ws.options.agent, agent);
+    test.strictEqual(ws.options.rejectUnauthorized, false);
+    test.ok(socket.isConnecting());
+
+    ws.open('sip');
+    test.ok(connected);
+    test.ok(socket.isConnected());
+
+    socket.disconnect();
+    test.done();
+  },
+
+  'WebSocketInterface requires the sip subprotocol' : function(test)
+  {
+    const socket = new JsSIP.WebSocketInterface('ws://sip.jssip.net', {
+      WebSocket : FakeWebSocket
+    });
+
+    socket.onconnect = () => test.ok(false, 'socket should not connect');
+    socket.ondisconnect = (error, code, reason) =>
+    {
+      test.strictEqual(error, true);
+      test.strictEqual(reason, 'SIP subprotocol not accepted');
+    };
+    socket.connect();
+
+    const ws = FakeWebSocket.last;
+
+    test.strictEqual(ws.protocols, 'sip');
+    test.strictEqual(ws.options, undefined);
+
+    ws.open('x-token');
+    test.ok(ws.closed);
+    test.ok(!socket.isConnected());
+    test.expect(6);
+    test.done();
+  },
+
+  'WebSocketInterface fails if the server omits the subprotocol' : function(test)
+  {
+    const socket = new JsSIP.WebSocketInterface('ws://sip.jssip.net', {
+      WebSocket : FakeWebSocket
+    });
+
+    socket.onconnect = () => test.ok(false, 'socket should not connect');
+    socket.ondisconnect = (error, code, reason) =>
+    {
+      test.strictEqual(error, true);
+      test.strictEqual(reason, 'SIP subprotocol not accepted');
+    };
+    socket.connect();
+
+    // No Sec-WebSocket-Protocol header in the handshake response.
+    const ws = FakeWebSocket.last;
+
+    ws.open('');
+    test.ok(ws.closed);
+    test.ok(!socket.isConnected());
+    test.expect(4);
+    test.done();
+  },
+
+  'WebSocketInterface gives handshake options as third argument' : function(test)
+  {
+    const agent = {};
+    const socket = new JsSIP.WebSocketInterface('wss://sip.jssip.net', {
+      WebSocket : FakeWebSocket,
+      protocols : [ 'x-token', 'sip' ],
+      headers   : { 'Cookie': 'session=1234' },
+      agent
+    });
+
+    socket.connect();
+
+    const args = FakeWebSocket.last.args;
+
+    test.strictEqual(args.length, 3);
+    test.strictEqual(args[0], 'wss://sip.jssip.net');
+    test.deepEqual(args[1], [ 'sip', 'x-token' ]);
+    test.deepEqual(Object.keys(args[2]).sort(), [ 'agent', 'headers' ]);
+    test.deepEqual(args[2].headers, { 'Cookie': 'session=1234' });
+    test.strictEqual(args[2].agent, agent);
+
+    socket.disconnect();
+    test.done();
+  },
+
+  'TcpSocket properties' : function(test)
+  {
+    const socket = new JsSIP.TcpSocket('tcp://sip.jssip.net:5070');
+
+    test.strictEqual(socket.url, 'tcp://sip.jssip.net:5070');
+    test.strictEqual(socket.via_transport, 'TCP');
+    test.strictEqual(socket.sip_uri, 'sip:sip.jssip.net:5070;transport=tcp');
+    test.strictEqual(socket.isConnected(), false);
+    test.strictEqual(socket.isConnecting(), false);
+
+    test.throws(
+      function()
+      {
+        /* eslint no-unused-vars: 0*/
+        const wrong = new JsSIP.TcpSocket('ws://sip.jssip.net');
+      },
+      TypeError
+    );
+
+    test.done();
+  },
+
+  'TlsSocket properties' : function(test)
+  {
+    const socket = new JsSIP.TlsSocket('tls://sip.jssip.net', { servername: 'jssip.net' });
+
+    test.strictEqual(socket.url, 'tls://sip.jssip.net');
+    test.strictEqual(socket.via_transport, 'TLS');
+    test.strictEqual(socket.sip_uri, 'sip:sip.jssip.net;transport=tls');
+
+    test.throws(
+      function()
+      {
+        const wrong = new JsSIP.TlsSocket('tcp://sip.jssip.net');
+      },
+      TypeError
+    );
+
+    test.done();
+  },
+
+  'TcpSocket connect, send and receive' : function(test)
+  {
+    const message = 'OPTIONS sip:alice@jssip.net SIP/2.0\r\nContent-Length: 4\r\n\r\nbody';
+    const server = net.createServer((connection) =>
+    {
+      connection.on('data', (data) =>
+      {
+        test.strictEqual(data.toString(), 'ping');
+
+        // Send a keep-alive and a SIP message split into several chunks.
+        connection.write('\r\n');
+        connection.write(message.substr(0, 10));
+        setTimeout(() => connection.end(message.substr(10)), 10);
+      });
+    });
+    const received = [];
+
+    server.listen(0, '127.0.0.1', () =>
+    {
+      const socket = new JsSIP.TcpSocket(`tcp://127.0.0.1:${server.address().port}`);
+
+      socket.onconnect = () =>
+      {
+        test.strictEqual(socket.isConnected(), true);
+        test.strictEqual(socket.send('ping'), true);
+      };
+
+      socket.ondata = (data) =>
+      {
+        received.push(typeof data === 'string' ? data : Buffer.from(data).toString());
+      };
+
+      socket.ondisconnect = (error) =>
+      {
+        test.strictEqual(error, false);
+        test.strictEqual(socket.isConnected(), false);
+        test.deepEqual(received, [ '\r\n', message ]);
+        server.close(() => test.done());
+      };
+
+      socket.connect();
+      test.strictEqual(socket.isConnecting(), true);
+    });
+  },
+
+  'UdpSocket properties' : function(test)
+  {
+    const socket = new JsSIP.UdpSocket('udp://[::1]:5080');
+
+    test.strictEqual(socket.url, 'udp://[::1]:5080');
+    test.strictEqual(socket.via_transport, 'UDP');
+    test.strictEqual(socket.sip_uri, 'sip:[::1]:5080;transport=udp');
+
+    test.throws(
+      function()
+      {
+        const wrong = new JsSIP.UdpSocket('tcp://sip.jssip.net');
+      },
+      TypeError
+    );
+
+    test.done();
+  },
+
+  'UdpSocket connect, send and receive' : function(test)
+  {
+    const server = dgram.createSocket('udp4');
+
+    server.on('message', (data, rinfo) =>
+    {
+      test.strictEqual(data.toString(), 'ping');
+      server.send('pong', rinfo.port, rinfo.address);
+    });
+
+    server.bind(0, '127.0.0.1', () =>
+    {
+      const socket = new JsSIP.UdpSocket(`udp://127.0.0.1:${server.address().port}`);
+
+      socket.onconnect = () =>
+      {
+        test.strictEqual(socket.isConnected(), true);
+        test.strictEqual(socket.send('ping'), true);
+      };
+
+      socket.ondata = (data) =>
+      {
+        test.strictEqual(data.toString(), 'pong');
+        socket.disconnect();
+        test.strictEqual(socket.isConnected(), false);
+        server.close(() => test.done());
+      };
+
+      socket.connect();
+      test.strictEqual(socket.isConnecting(), true);
+    });
+  }
+};
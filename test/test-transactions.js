@@ -0,0 +1,214 @@
+require('./include/common');
+const Transactions = require('../lib/Transactions.js');
+const Timers = require('../lib/Timers.js');
+
+module.exports = {
+
+  'non-INVITE client transaction retransmits over UDP' : function(test)
+  {
+    const ua =
+    {
+      configuration      : { via_host: 'jssip.invalid' },
+      newTransaction     : () => {},
+      destroyTransaction : () => {}
+    };
+    const sent = [];
+    const transport =
+    {
+      via_transport : 'UDP',
+      isConnected   : () => true,
+      send          : (message) => sent.push(message)
+    };
+    const request =
+    {
+      headers   : {},
+      setHeader : (name, value) => { request.headers[name] = value; }
+    };
+    const responses = [];
+    const transaction = new Transactions.NonInviteClientTransaction(
+      ua, transport, request,
+      {
+        onReceiveResponse : (response) => responses.push(response)
+      });
+
+    test.strictEqual(request.headers.via, `SIP/2.0/UDP jssip.invalid;branch=${transaction.id}`);
+
+    transaction.send();
+    test.strictEqual(sent.length, 1);
+
+    // Retransmissions at T1 and 3*T1.
+    setTimeout(() =>
+    {
+      test.strictEqual(sent.length, 3);
+
+      transaction.receiveResponse({ status_code: 200 });
+      test.strictEqual(transaction.state, Transactions.C.STATUS_COMPLETED);
+      test.strictEqual(responses.length, 1);
+
+      // Timer K absorbs retransmitted responses for T4.
+      setTimeout(() =>
+      {
+        transaction.receiveResponse({ status_code: 200 });
+        test.strictEqual(transaction.state, Transactions.C.STATUS_COMPLETED);
+        test.strictEqual(responses.length, 1);
+
+        setTimeout(() =>
+        {
+          test.strictEqual(transaction.state, Transactions.C.STATUS_TERMINATED);
+          test.strictEqual(responses.length, 1);
+          test.strictEqual(sent.length, 3);
+          test.done();
+        }, Timers.T4 - Timers.T1 + 100);
+      }, Timers.T1);
+    }, (3 * Timers.T1) + 100);
+  },
+
+  'non-INVITE client transaction does not retransmit over TCP' : function(test)
+  {
+    const ua =
+    {
+      configuration      : { via_host: 'jssip.invalid' },
+      newTransaction     : () => {},
+      destroyTransaction : () => {}
+    };
+    const sent = [];
+    const transport =
+    {
+      via_transport : 'TCP',
+      isConnected   : () => true,
+      send          : (message) => sent.push(message)
+    };
+    const request =
+    {
+      headers   : {},
+      setHeader : (name, value) => { request.headers[name] = value; }
+    };
+    const transaction = new Transactions.NonInviteClientTransaction(
+      ua, transport, request,
+      {
+        onReceiveResponse : () => {}
+      });
+
+    transaction.send();
+
+    setTimeout(() =>
+    {
+      test.strictEqual(sent.length, 1);
+
+      transaction.receiveResponse({ status_code: 200 });
+
+      // Timer K fires immediately on reliable transports.
+      setTimeout(() =>
+      {
+        test.strictEqual(transaction.state, Transactions.C.STATUS_TERMINATED);
+        test.done();
+      }, 10);
+    }, Timers.T1 + 100);
+  },
+
+  'INVITE server transaction retransmits final responses over UDP' : function(test)
+  {
+    const ua =
+    {
+      configuration      : { via_host: 'jssip.invalid' },
+      newTransaction     : () => {},
+      destroyTransaction : () => {},
+      _transactions      : { ist: {} }
+    };
+    const sent = [];
+    const transport =
+    {
+      via_transport : 'UDP',
+      isConnected   : () => true,
+      send          : (message) => sent.push(message)
+    };
+    const request =
+    {
+      method     : 'INVITE',
+      via_branch : 'z9hG4bKist',
+      reply      : () => {}
+    };
+    const transaction = new Transactions.InviteServerTransaction(ua, transport, request);
+
+    ua._transactions.ist[transaction.id] = transaction;
+
+    transaction.receiveResponse(486, 'SIP/2.0 486 Busy Here');
+    test.strictEqual(transaction.state, Transactions.C.STATUS_COMPLETED);
+    test.strictEqual(sent.length, 1);
+
+    // Timer G retransmissions at T1 and 3*T1.
+    setTimeout(() =>
+    {
+      test.deepEqual(sent, [
+        'SIP/2.0 486 Busy Here', 'SIP/2.0 486 Busy Here', 'SIP/2.0 486 Busy Here'
+      ]);
+
+      // A retransmitted INVITE is answered with the final response.
+      test.ok(Transactions.checkTransaction(ua,
+        { method: 'INVITE', via_branch: transaction.id }));
+      test.strictEqual(sent.length, 4);
+
+      // The ACK stops Timer G.
+      test.ok(Transactions.checkTransaction(ua,
+        { method: 'ACK', via_branch: transaction.id }));
+      test.strictEqual(transaction.state, Transactions.C.STATUS_CONFIRMED);
+
+      setTimeout(() =>
+      {
+        test.strictEqual(sent.length, 4);
+        test.strictEqual(transaction.state, Transactions.C.STATUS_CONFIRMED);
+
+        clearTimeout(transaction.H);
+        clearTimeout(transaction.I);
+        test.done();
+      }, 4 * Timers.T1);
+    }, (3 * Timers.T1) + 100);
+  },
+
+  'INVITE server transaction does not retransmit over TCP' : function(test)
+  {
+    const ua =
+    {
+      configuration      : { via_host: 'jssip.invalid' },
+      newTransaction     : () => {},
+      destroyTransaction : () => {},
+      _transactions      : { ist: {} }
+    };
+    const sent = [];
+    const transport =
+    {
+      via_transport : 'TCP',
+      isConnected   : () => true,
+      send          : (message) => sent.push(message)
+    };
+    const request =
+    {
+      method     : 'INVITE',
+      via_branch : 'z9hG4bKist',
+      reply      : () => {}
+    };
+    const transaction = new Transactions.InviteServerTransaction(ua, transport, request);
+
+    ua._transactions.ist[transaction.id] = transaction;
+
+    transaction.receiveResponse(486, 'SIP/2.0 486 Busy Here');
+
+    setTimeout(() =>
+    {
+      test.strictEqual(sent.length, 1);
+
+      test.ok(Transactions.checkTransaction(ua,
+        { method: 'ACK', via_branch: transaction.id }));
+      test.strictEqual(transaction.state, Transactions.C.STATUS_CONFIRMED);
+
+      // Timer I fires immediately on reliable transports.
+      setTimeout(() =>
+      {
+        test.strictEqual(transaction.state, Transactions.C.STATUS_TERMINATED);
+
+        clearTimeout(transaction.H);
+        test.done();
+      }, 10);
+    }, Timers.T1 + 100);
+  }
+};
@@ -0,0 +1,567 @@
+require('./include/common');
+const FakeSocket = require('./include/FakeSocket');
+const Transport = require('../lib/Transport.js');
+
+function createTransport(sockets, options)
+{
+  const transport = new Transport(
+    sockets, { min_interval: 2, max_interval: 30 }, options);
+
+  transport.onconnecting = () => {};
+  transport.onconnect = () => {};
+  transport.ondisconnect = () => {};
+  transport.ondata = () => {};
+  transport.ondead = () => {};
+
+  return transport;
+}
+
+module.exports = {
+
+  'CRLF keep-alive response keeps the flow alive' : function(test)
+  {
+    const socket = new FakeSocket('alive.jssip.net');
+    const transport = createTransport({ socket }, {
+      keep_alive_interval : 0.02,
+      keep_alive_timeout  : 0.05
+    });
+
+    transport.ondead = () => test.ok(false, 'transport should not be dead');
+    transport.connect();
+
+    setTimeout(() =>
+    {
+      test.deepEqual(socket.sent, [ '\r\n\r\n' ]);
+      socket.ondata('\r\n');
+
+      setTimeout(() =>
+      {
+        test.ok(socket.sent.length >= 2);
+        test.ok(transport.isConnected());
+        transport.disconnect();
+        test.done();
+      }, 30);
+    }, 30);
+  },
+
+  'missing CRLF keep-alive response disconnects the flow' : function(test)
+  {
+    const socket = new FakeSocket('dead.jssip.net');
+    const transport = createTransport({ socket }, {
+      keep_alive_interval : 0.01,
+      keep_alive_timeout  : 0.02
+    });
+    let dead = false;
+
+    transport.ondead = (data) =>
+    {
+      dead = true;
+      test.strictEqual(data.socket, socket);
+    };
+
+    transport.ondisconnect = (data) =>
+    {
+      test.ok(dead);
+      test.strictEqual(data.error, true);
+      test.strictEqual(data.reason, 'CRLF keep-alive timeout');
+      test.strictEqual(socket.connected, false);
+
+      // The normal reconnection path is taken.
+      setTimeout(() =>
+      {
+        test.ok(transport.recovery_timer !== null);
+
+        transport.ondisconnect = () => {};
+        transport.disconnect();
+        test.done();
+      });
+    };
+
+    transport.connect();
+  },
+
+  'failed CRLF keep-alive send disconnects the flow' : function(test)
+  {
+    const socket = new FakeSocket('unwritable.jssip.net');
+    const transport = createTransport({ socket }, {
+      keep_alive_interval : 0.01
+    });
+
+    // No dead flow listener.
+    delete transport.ondead;
+
+    transport.ondisconnect = (data) =>
+    {
+      test.strictEqual(data.error, true);
+      test.strictEqual(data.reason, 'CRLF keep-alive send failure');
+      test.strictEqual(data.cause, 'error');
+      test.strictEqual(socket.connected, false);
+
+      transport.ondisconnect = () => {};
+      transport.disconnect();
+      test.done();
+    };
+
+    transport.connect();
+
+    // The connection broke without the socket noticing.
+    socket.send = () => false;
+  },
+
+  'CRLF keep-alive response from a drained socket is ignored' : function(test)
+  {
+    const a = new FakeSocket('a.jssip.net');
+    const b = new FakeSocket('b.jssip.net');
+    const transport = createTransport([
+      { socket: a, weight: 2 },
+      { socket: b, weight: 1 }
+    ], {
+      keep_alive_interval : 0.01,
+      keep_alive_timeout  : 0.03
+    });
+
+    transport.ondead = (data) =>
+    {
+      test.strictEqual(data.socket, b);
+      test.deepEqual(b.sent, [ '\r\n\r\n' ]);
+
+      transport.ondisconnect = () => {};
+      transport.disconnect();
+      test.done();
+    };
+
+    transport.connect();
+    transport.failover('503 Service Unavailable');
+    test.strictEqual(transport.socket, b);
+
+    setTimeout(() =>
+    {
+      test.deepEqual(b.sent, [ '\r\n\r\n' ]);
+      test.ok(a.connected);
+      a.ondata('\r\n');
+    }, 15);
+  },
+
+  'priority socket selection fails over in list order' : function(test)
+  {
+    const a = new FakeSocket('a.jssip.net');
+    const b = new FakeSocket('b.jssip.net');
+    const c = new FakeSocket('c.jssip.net');
+    const transport = createTransport([
+      { socket: a, weight: 0 },
+      { socket: b, weight: 1 },
+      { socket: c, weight: 1 }
+    ], {
+      socket_selection : 'priority',
+      recovery_delay   : () => 0
+    });
+
+    test.strictEqual(transport.socket, b);
+    transport.connect();
+    b.close();
+
+    setTimeout(() =>
+    {
+      const status = transport.getSocketsStatus();
+
+      test.strictEqual(transport.socket, c);
+      test.ok(transport.isConnected());
+      test.strictEqual(status[1].failures, 1);
+      test.strictEqual(status[1].available, false);
+      test.strictEqual(status[2].active, true);
+      test.strictEqual(status[2].failures, 0);
+      transport.disconnect();
+      test.done();
+    }, 10);
+  },
+
+  'round robin socket selection rotates among sockets' : function(test)
+  {
+    const sockets = [ 'a', 'b', 'c' ]
+      .map((host) => new FakeSocket(`${host}.jssip.net`));
+    const transport = createTransport(sockets.map((socket) => ({ socket })), {
+      socket_selection : 'round_robin',
+      socket_cooldown  : 0.01
+    });
+
+    test.strictEqual(transport.socket, sockets[0]);
+    transport._getSocket();
+    test.strictEqual(transport.socket, sockets[1]);
+    transport._getSocket();
+    test.strictEqual(transport.socket, sockets[2]);
+    transport._getSocket();
+    test.strictEqual(transport.socket, sockets[0]);
+    test.done();
+  },
+
+  'sticky socket selection returns to the last good socket' : function(test)
+  {
+    const a = new FakeSocket('a.jssip.net');
+    const b = new FakeSocket('b.jssip.net');
+    const transport = createTransport([ { socket: a }, { socket: b } ], {
+      socket_selection : 'sticky'
+    });
+
+    transport.socket = b;
+    transport.connect();
+    transport.disconnect();
+    transport._getSocket();
+    test.strictEqual(transport.socket, b);
+    test.done();
+  },
+
+  'socket cooldown makes a failed socket available again' : function(test)
+  {
+    const a = new FakeSocket('a.jssip.net');
+    const b = new FakeSocket('b.jssip.net');
+    const transport = createTransport([
+      { socket: a, weight: 1 },
+      { socket: b, weight: 0 }
+    ], {
+      socket_selection : 'priority',
+      socket_cooldown  : 0.02,
+      recovery_delay   : () => 0.04
+    });
+
+    transport.connect();
+    a.close();
+
+    test.strictEqual(transport.getSocketsStatus()[0].available, false);
+    test.ok(transport.getSocketsStatus()[0].cooldown_until > Date.now());
+
+    setTimeout(() =>
+    {
+      test.strictEqual(transport.socket, a);
+      test.strictEqual(transport.getSocketsStatus()[0].failures, 1);
+      transport.disconnect();
+      test.done();
+    }, 60);
+  },
+
+  'socket selection function chooses the socket' : function(test)
+  {
+    const a = new FakeSocket('a.jssip.net');
+    const b = new FakeSocket('b.jssip.net');
+    let candidates;
+    const transport = createTransport([ { socket: a }, { socket: b } ], {
+      socket_selection : (sockets) =>
+      {
+        candidates = sockets;
+
+        return sockets[sockets.length - 1];
+      }
+    });
+
+    test.strictEqual(transport.socket, b);
+    test.deepEqual(candidates, [ a, b ]);
+
+    transport.options.socket_selection = () => null;
+    transport._getSocket();
+    test.strictEqual(transport.socket, a);
+    test.done();
+  },
+
+  'hot-standby socket takes over immediately' : function(test)
+  {
+    const a = new FakeSocket('a.jssip.net');
+    const b = new FakeSocket('b.jssip.net');
+    const transport = createTransport([
+      { socket: a, weight: 1 },
+      { socket: b, weight: 0 }
+    ], {
+      socket_selection : 'priority',
+      hot_standby      : true
+    });
+    const events = [];
+
+    transport.onconnect = () => events.push(`connect ${transport.socket.url}`);
+    transport.ondisconnect = (data) => events.push(`disconnect ${data.socket.url}`);
+    transport.connect();
+
+    test.ok(b.connected);
+    test.strictEqual(transport.getSocketsStatus()[1].standby, true);
+
+    a.close();
+
+    test.deepEqual(events, [
+      'connect ws://a.jssip.net',
+      'disconnect ws://a.jssip.net',
+      'connect ws://b.jssip.net'
+    ]);
+    test.strictEqual(transport.socket, b);
+    test.ok(transport.isConnected());
+    test.strictEqual(transport.recovery_timer, null);
+
+    // The failed socket becomes the new standby one.
+    test.strictEqual(transport.standby_socket, a);
+
+    transport.ondisconnect = () => {};
+    transport.disconnect();
+    test.ok(!a.connected);
+    test.ok(!b.connected);
+    test.done();
+  },
+
+  'queued messages are sent once reconnected' : function(test)
+  {
+    const socket = new FakeSocket('queue.jssip.net');
+    const transport = createTransport({ socket }, {
+      queue_size     : 2,
+      queue_timeout  : 1,
+      recovery_delay : () => 0.01
+    });
+    const flushed = [];
+
+    transport.connect();
+    socket.close();
+
+    test.ok(!transport.isConnected());
+    test.ok(transport.enqueue('MESSAGE 1', (sent) => flushed.push(sent), () => {}));
+    test.ok(transport.enqueue('MESSAGE 2', (sent) => flushed.push(sent), () => {}));
+    test.ok(!transport.enqueue('MESSAGE 3', () => {}, () => {}), 'queue is full');
+
+    setTimeout(() =>
+    {
+      test.ok(transport.isConnected());
+      test.deepEqual(flushed, [ true, true ]);
+      test.deepEqual(socket.sent, [ 'MESSAGE 1', 'MESSAGE 2' ]);
+      transport.disconnect();
+      test.done();
+    }, 30);
+  },
+
+  'queued messages time out if not reconnected in time' : function(test)
+  {
+    const socket = new FakeSocket('queue.jssip.net');
+    const transport = createTransport({ socket }, {
+      queue_size     : 1,
+      queue_timeout  : 0.01,
+      recovery_delay : () => 10
+    });
+    let timedout = false;
+
+    transport.connect();
+    socket.close();
+
+    test.ok(transport.enqueue('MESSAGE',
+      () => test.ok(false, 'message should not be flushed'),
+      () => { timedout = true; }));
+
+    setTimeout(() =>
+    {
+      test.ok(timedout);
+      test.strictEqual(transport.queue.length, 0);
+      transport.disconnect();
+      test.done();
+    }, 30);
+  },
+
+  'queued messages fail when the transport is closed' : function(test)
+  {
+    const socket = new FakeSocket('queue.jssip.net');
+    const transport = createTransport({ socket }, {
+      queue_size     : 1,
+      recovery_delay : () => 10
+    });
+    let result;
+
+    transport.connect();
+    socket.close();
+    transport.enqueue('MESSAGE', (sent) => { result = sent; }, () => {});
+    transport.disconnect();
+
+    test.strictEqual(result, false);
+    test.ok(!transport.enqueue('MESSAGE', () => {}, () => {}));
+    test.done();
+  },
+
+  'messages are not queued if the transport was never started' : function(test)
+  {
+    const socket = new FakeSocket('queue.jssip.net');
+    const transport = createTransport({ socket }, { queue_size: 1 });
+
+    test.ok(!transport.enqueue('MESSAGE', () => {}, () => {}));
+    test.strictEqual(transport.queue.length, 0);
+    test.done();
+  },
+
+  'transport statistics and socket switch notification' : function(test)
+  {
+    const a = new FakeSocket('a.jssip.net');
+    const b = new FakeSocket('b.jssip.net');
+    const transport = createTransport([
+      { socket: a, weight: 1 },
+      { socket: b, weight: 0 }
+    ], {
+      socket_selection : 'priority',
+      recovery_delay   : () => 0
+    });
+    const switches = [];
+
+    transport.onsocketswitch = (data) => switches.push(data);
+    transport.connect();
+    transport.send('OPTIONS sip:ñ@jssip.net SIP/2.0\r\n\r\n');
+    a.ondata('SIP/2.0 200 OK\r\n\r\n');
+    a.ondata('\r\n');
+    a.connected = false;
+    a.ondisconnect(true, 1006, 'Abnormal closure');
+
+    setTimeout(() =>
+    {
+      const stats = transport.getStats();
+
+      test.strictEqual(switches.length, 1);
+      test.strictEqual(switches[0].previous, a);
+      test.strictEqual(switches[0].socket, b);
+
+      test.strictEqual(stats.url, b.url);
+      test.strictEqual(stats.sockets[0].messages_sent, 1);
+      test.strictEqual(stats.sockets[0].bytes_sent, 36);
+      test.strictEqual(stats.sockets[0].messages_received, 1);
+      test.strictEqual(stats.sockets[0].bytes_received, 18);
+      test.strictEqual(stats.sockets[0].connect_attempts, 1);
+      test.strictEqual(stats.sockets[0].last_error_code, 1006);
+      test.strictEqual(stats.sockets[0].last_error_reason, 'Abnormal closure');
+      test.ok(stats.sockets[0].time_connected >= 0);
+      test.strictEqual(stats.sockets[1].active, true);
+      test.strictEqual(stats.sockets[1].connect_attempts, 1);
+      test.strictEqual(stats.sockets[1].reconnect_attempts, 1);
+      transport.disconnect();
+      test.done();
+    }, 10);
+  },
+
+  'failover moves to the next socket right away' : function(test)
+  {
+    const a = new FakeSocket('a.jssip.net');
+    const b = new FakeSocket('b.jssip.net');
+    const transport = createTransport([
+      { socket: a, weight: 2 },
+      { socket: b, weight: 1 }
+    ]);
+    const received = [];
+    let switched;
+
+    transport.ondisconnect = () => test.ok(false, 'transport should not be disconnected');
+    transport.ondata = (data) => received.push(data.message);
+    transport.connect();
+    transport.failover('503 Service Unavailable', (result) => { switched = result; });
+
+    test.strictEqual(switched, true);
+    test.strictEqual(transport.socket, b);
+    test.ok(transport.isConnected());
+    test.strictEqual(transport.recovery_timer, null);
+    test.strictEqual(transport.getSocketsStatus()[0].failures, 1);
+    test.strictEqual(transport.getStats().sockets[0].last_error_reason, '503 Service Unavailable');
+
+    // Later traffic goes through the next socket.
+    transport.send('MESSAGE');
+    test.deepEqual(b.sent, [ 'MESSAGE' ]);
+    test.strictEqual(a.sent.length, 0);
+
+    // The previous socket is kept for the transactions running on it.
+    test.ok(a.connected);
+    a.ondata('SIP/2.0 200 OK');
+    test.deepEqual(received, [ 'SIP/2.0 200 OK' ]);
+
+    transport.ondisconnect = () => {};
+    transport.disconnect();
+    test.ok(!a.connected);
+    test.done();
+  },
+
+  'failover without another socket keeps the current one' : function(test)
+  {
+    const a = new FakeSocket('a.jssip.net');
+    const b = new FakeSocket('b.jssip.net');
+    const transport = createTransport([
+      { socket: a, weight: 2 },
+      { socket: b, weight: 1 }
+    ]);
+    let switched;
+
+    // The next socket is down.
+    b.connect = () => b.ondisconnect(true, 'ECONNREFUSED', 'connect ECONNREFUSED');
+
+    transport.connect();
+    transport.failover('503 Service Unavailable', (result) => { switched = result; });
+
+    test.strictEqual(switched, false);
+    test.strictEqual(transport.socket, a);
+    test.ok(transport.isConnected());
+
+    transport.disconnect();
+    test.done();
+  },
+
+  'connect timeout moves to the next socket' : function(test)
+  {
+    const a = new FakeSocket('a.jssip.net');
+    const b = new FakeSocket('b.jssip.net');
+    const transport = createTransport([
+      { socket: a, weight: 2 },
+      { socket: b, weight: 1 }
+    ], {
+      connect_timeout : 0.01,
+      recovery_delay  : () => 0
+    });
+    let disconnect;
+
+    // The handshake never completes.
+    a.connect = () => {};
+
+    transport.ondisconnect = (data) => { disconnect = data; };
+    transport.connect();
+    test.ok(transport.isConnecting());
+
+    setTimeout(() =>
+    {
+      test.strictEqual(disconnect.socket, a);
+      test.strictEqual(disconnect.cause, 'timeout');
+      test.strictEqual(transport.socket, b);
+      test.ok(transport.isConnected());
+      test.deepEqual(transport.getSocketsStatus()[0].failure_causes, { timeout: 1 });
+      test.strictEqual(transport.connect_timer, null);
+      transport.disconnect();
+      test.done();
+    }, 40);
+  },
+
+  'disconnection causes' : function(test)
+  {
+    const socket = new FakeSocket('causes.jssip.net');
+    const transport = createTransport({ socket }, { recovery_delay: () => 10 });
+    const causes = [];
+
+    transport.ondisconnect = (data) => causes.push(data.cause);
+
+    function close(error, code, reason)
+    {
+      socket.ondisconnect(error, code, reason);
+      clearTimeout(transport.recovery_timer);
+    }
+
+    // Refused before connecting.
+    socket.connect = () => {};
+    transport.connect();
+    close(true, 'ECONNREFUSED', 'connect ECONNREFUSED');
+
+    // Invalid certificate.
+    transport.status = Transport.C.STATUS_CONNECTING;
+    close(true, 'ERR_TLS_CERT_ALTNAME_INVALID', 'invalid certificate');
+
+    // Server closed the connection with a code.
+    transport.status = Transport.C.STATUS_CONNECTED;
+    close(false, 4000, 'going away');
+
+    // Abnormal closure of an established connection.
+    transport.status = Transport.C.STATUS_CONNECTED;
+    close(true, 1006, '');
+
+    test.deepEqual(causes, [ 'refused', 'tls_error', 'closed', 'error' ]);
+    test.strictEqual(transport.getStats().sockets[0].last_error_cause, 'error');
+
+    transport.disconnect();
+    test.done();
+  }
+};